@@ -0,0 +1,324 @@
+/* ============================================
+   Account Profile
+   Balances, trust lines, owned objects and
+   transaction history for one account, shown
+   in the detail drawer. History pages in from
+   account_tx as the drawer scrolls.
+   ============================================ */
+
+const AccountProfile = (() => {
+    const TX_PAGE = 50;            // account_tx entries per request
+    const LINES_LIMIT = 400;       // Trust lines fetched (one page)
+    const OBJECTS_LIMIT = 400;     // Owned objects fetched (one page)
+    const SPARK_DAYS = 90;         // Longest span the activity sparkline covers
+    const TOP_COUNTERPARTIES = 10;
+    const SCROLL_MARGIN = 120;     // px from the bottom that triggers the next page
+
+    let body;
+    // The profile on screen: { address, token, marker, loading, done, txs }
+    let view = null;
+
+    function init() {
+        body = document.getElementById('tx-drawer-body');
+        if (!body) return;
+        body.addEventListener('scroll', maybeLoadMore);
+        body.addEventListener('submit', saveLabel);
+        AddressBook.onChange(relabel);
+    }
+
+    function saveLabel(e) {
+        const form = e.target.closest('#account-label-form');
+        if (!form) return;
+        e.preventDefault();
+        AddressBook.set(form.dataset.address, form.elements.name.value, form.elements.category.value);
+    }
+
+    // Names in the header, counterparties and history follow label edits
+    function relabel() {
+        if (!view || !TxDetail.isCurrent(view.token)) return;
+        const header = document.getElementById('account-label');
+        if (header) header.innerHTML = AddressBook.labelHtml(view.address);
+        const list = document.getElementById('account-history');
+        if (list) list.innerHTML = view.txs.map(historyRowHtml).join('');
+        refreshActivity(view);
+    }
+
+    async function open(address) {
+        const token = TxDetail.begin('ACCOUNT', address);
+        view = null;
+
+        let info;
+        try {
+            info = await TxDetail.request({ command: 'account_info', account: address, ledger_index: 'validated' });
+        } catch (e) {
+            const message = e.code === 'actNotFound' ? 'account not found (unfunded)' : e.message;
+            TxDetail.finish(token, TxDetail.errorHtml('account', message, ['accounts', address]));
+            return;
+        }
+
+        // Lines and objects are optional; the profile renders without them
+        const [lines, objects] = await Promise.all([
+            TxDetail.request({ command: 'account_lines', account: address, ledger_index: 'validated', limit: LINES_LIMIT })
+                .catch(e => ({ error: e.message })),
+            TxDetail.request({ command: 'account_objects', account: address, ledger_index: 'validated', limit: OBJECTS_LIMIT })
+                .catch(e => ({ error: e.message }))
+        ]);
+        if (!TxDetail.isCurrent(token)) return;
+
+        TxDetail.finish(token, renderProfile(address, info, lines, objects));
+        view = { address, token, marker: null, loading: false, done: false, txs: [] };
+        await loadMore();
+    }
+
+    // ---- History paging ----
+    function maybeLoadMore() {
+        if (!view || view.loading || view.done || !body || !TxDetail.isCurrent(view.token)) return;
+        if (body.scrollTop + body.clientHeight < body.scrollHeight - SCROLL_MARGIN) return;
+        loadMore();
+    }
+
+    async function loadMore() {
+        const state = view;
+        if (!state || state.loading || state.done) return;
+        state.loading = true;
+        setHistoryStatus('Loading transactions...');
+
+        let result;
+        try {
+            result = await TxDetail.request({
+                command: 'account_tx',
+                account: state.address,
+                ledger_index_min: -1,
+                ledger_index_max: -1,
+                limit: TX_PAGE,
+                ...(state.marker ? { marker: state.marker } : {})
+            });
+        } catch (e) {
+            if (view !== state) return;
+            state.loading = false;
+            state.done = true;
+            setHistoryStatus(`Could not load transactions: ${e.message}`);
+            return;
+        }
+        if (view !== state || !TxDetail.isCurrent(state.token)) return;
+
+        const page = (result.transactions || []).map(entry => summarize(state.address, entry));
+        state.txs.push(...page);
+        state.marker = result.marker || null;
+        state.done = !state.marker;
+        state.loading = false;
+
+        appendHistory(page);
+        refreshActivity(state);
+        setHistoryStatus(state.done
+            ? (state.txs.length ? `All ${state.txs.length.toLocaleString()} transactions loaded` : 'No transactions')
+            : `${state.txs.length.toLocaleString()} loaded, scroll for more`);
+
+        // A short page may not fill the drawer, so there is nothing to scroll
+        maybeLoadMore();
+    }
+
+    // One account_tx entry -> { hash, type, result, time, day, counterparty, amount }
+    function summarize(address, entry) {
+        const { tx, meta, hash, closeTime } = TxDetail.unpack(entry);
+        return {
+            hash,
+            type: tx.TransactionType || 'Unknown',
+            result: meta.TransactionResult || '',
+            time: closeTime,
+            day: closeTime ? new Date(closeTime).toISOString().slice(0, 10) : null,
+            counterparty: counterpartyOf(address, tx),
+            amount: meta.delivered_amount !== undefined && meta.delivered_amount !== 'unavailable'
+                ? meta.delivered_amount : tx.Amount
+        };
+    }
+
+    function counterpartyOf(address, tx) {
+        if (tx.Account && tx.Account !== address) return tx.Account;
+        if (tx.Destination && tx.Destination !== address) return tx.Destination;
+        if (tx.LimitAmount && tx.LimitAmount.issuer !== address) return tx.LimitAmount.issuer;
+        return null;
+    }
+
+    // ---- Rendering ----
+    function renderProfile(address, info, lines, objects) {
+        const esc = TxDetail.escapeHtml;
+        const data = info.account_data || {};
+        const domain = data.Domain ? MemoDecoder.hexToText(data.Domain) : null;
+        const firstSeen = MetricsEngine.getFirstSeen(address);
+
+        return `
+            <div class="drawer-title">
+                <span class="drawer-type">ACCOUNT</span>
+                <span id="account-label">${AddressBook.labelHtml(address)}</span>
+            </div>
+            <div class="drawer-hash">${esc(address)}</div>
+            ${labelFormHtml(address)}
+            <table class="drawer-fields">
+                <tr><th>PFT balance</th><td class="account-balance">${TxDetail.formatPft(data.Balance)}</td></tr>
+                <tr><th>Sequence</th><td>${esc(String(data.Sequence ?? '--'))}</td></tr>
+                <tr><th>Domain</th><td>${domain ? esc(domain) : '--'}</td></tr>
+                <tr><th>First seen</th><td>${firstSeen ? esc(firstSeen) : '<span class="drawer-muted">not in stats</span>'}</td></tr>
+                <tr><th>As of ledger</th><td>${info.ledger_index ? TxDetail.searchLink(info.ledger_index, '#' + Number(info.ledger_index).toLocaleString()) : '--'}</td></tr>
+            </table>
+            ${renderTrustLines(lines)}
+            ${renderObjects(objects, data.OwnerCount)}
+            <div class="drawer-section">DAILY ACTIVITY</div>
+            <div id="account-activity" class="drawer-muted">--</div>
+            <div class="drawer-section">COUNTERPARTIES</div>
+            <div id="account-counterparties" class="drawer-muted">--</div>
+            <div class="drawer-section">TRANSACTIONS</div>
+            <div id="account-history"></div>
+            <div id="account-history-status" class="drawer-placeholder"></div>
+            <div class="drawer-links">${TxDetail.explorerLink('accounts', address, 'View in explorer')}</div>`;
+    }
+
+    // Saving an empty name removes the user's label
+    function labelFormHtml(address) {
+        const esc = TxDetail.escapeHtml;
+        const label = AddressBook.get(address);
+        const category = label ? label.category : '';
+        return `
+            <form class="label-form" id="account-label-form" data-address="${esc(address)}">
+                <input type="text" class="settings-input" name="name" value="${esc(label ? label.name : '')}"
+                       placeholder="Add a label" aria-label="Label" spellcheck="false">
+                <select class="settings-input" name="category" aria-label="Label category">
+                    <option value="">NO TAG</option>
+                    ${AddressBook.getCategories().map(c => `<option value="${c}"${c === category ? ' selected' : ''}>${c.toUpperCase()}</option>`).join('')}
+                </select>
+                <button type="submit" class="panel-badge">SAVE</button>
+            </form>
+            ${label && label.source === 'bundled' ? '<div class="drawer-muted">Label from the bundled address book; saving overrides it here.</div>' : ''}`;
+    }
+
+    // account_lines, grouped by the peer (issuer) on the other side of each line
+    function renderTrustLines(result) {
+        const esc = TxDetail.escapeHtml;
+        if (result.error) return `<div class="drawer-section">TRUST LINES</div><div class="drawer-muted">Unavailable: ${esc(result.error)}</div>`;
+        const lines = result.lines || [];
+        const byIssuer = new Map();
+        lines.forEach(line => {
+            if (!byIssuer.has(line.account)) byIssuer.set(line.account, []);
+            byIssuer.get(line.account).push(line);
+        });
+
+        return `
+            <div class="drawer-section">TRUST LINES (${lines.length}${result.marker ? '+' : ''})</div>
+            ${lines.length === 0 ? '<div class="drawer-muted">None</div>' : ''}
+            ${[...byIssuer].map(([issuer, issued]) => `
+                <div class="drawer-object">
+                    <div>${TxDetail.accountLink(issuer)}</div>
+                    ${issued.map(line => `
+                        <div class="drawer-change">${esc(Number(line.balance).toLocaleString(undefined, { maximumFractionDigits: 15 }))} ${esc(TxDetail.currencyName(line.currency))}
+                            <span class="drawer-muted">limit ${esc(Number(line.limit).toLocaleString())}${line.freeze ? ' FROZEN' : ''}</span></div>`).join('')}
+                </div>`).join('')}`;
+    }
+
+    // account_objects, counted by ledger entry type
+    function renderObjects(result, ownerCount) {
+        const esc = TxDetail.escapeHtml;
+        const heading = `OWNED OBJECTS (${ownerCount ?? '--'})`;
+        if (result.error) return `<div class="drawer-section">${heading}</div><div class="drawer-muted">Unavailable: ${esc(result.error)}</div>`;
+        const counts = {};
+        (result.account_objects || []).forEach(o => {
+            counts[o.LedgerEntryType] = (counts[o.LedgerEntryType] || 0) + 1;
+        });
+        const types = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+
+        return `
+            <div class="drawer-section">${heading}</div>
+            ${types.length === 0 ? '<div class="drawer-muted">None</div>' : `
+                <table class="drawer-fields">
+                    ${types.map(([type, n]) => `<tr><th>${esc(type)}</th><td>${n}</td></tr>`).join('')}
+                </table>`}
+            ${result.marker ? '<div class="drawer-muted">More objects not shown</div>' : ''}`;
+    }
+
+    function appendHistory(page) {
+        const list = document.getElementById('account-history');
+        if (!list || page.length === 0) return;
+        list.insertAdjacentHTML('beforeend', page.map(historyRowHtml).join(''));
+    }
+
+    function historyRowHtml(t) {
+        const esc = TxDetail.escapeHtml;
+        const failed = t.result && t.result !== 'tesSUCCESS';
+        return `
+            <div class="account-tx">
+                <span class="drawer-muted">${t.time ? new Date(t.time).toISOString().replace('T', ' ').slice(0, 16) : '--'}</span>
+                ${TxDetail.searchLink(t.hash, t.type)}
+                ${failed ? `<span class="drawer-result failed">${esc(t.result)}</span>` : ''}
+                ${t.amount !== undefined ? `<span>${TxDetail.formatAmount(t.amount)}</span>` : ''}
+                ${t.counterparty ? `<span class="drawer-muted">${TxDetail.accountLink(t.counterparty, true)}</span>` : ''}
+            </div>`;
+    }
+
+    function setHistoryStatus(text) {
+        const status = document.getElementById('account-history-status');
+        if (status) status.textContent = text;
+    }
+
+    // Sparkline and counterparties cover every page loaded so far
+    function refreshActivity(state) {
+        const activity = document.getElementById('account-activity');
+        if (activity) activity.innerHTML = sparklineHtml(dailyCounts(state.txs));
+
+        const parties = document.getElementById('account-counterparties');
+        if (parties) parties.innerHTML = counterpartiesHtml(state.txs);
+    }
+
+    // Transactions per UTC day, from the oldest loaded day (at most SPARK_DAYS back) to today
+    function dailyCounts(txs) {
+        const byDay = {};
+        let oldest = null;
+        txs.forEach(t => {
+            if (!t.day) return;
+            byDay[t.day] = (byDay[t.day] || 0) + 1;
+            if (!oldest || t.day < oldest) oldest = t.day;
+        });
+        if (!oldest) return [];
+
+        const today = new Date(new Date().toISOString().slice(0, 10) + 'T00:00:00Z');
+        const span = Math.min(SPARK_DAYS, Math.round((today - new Date(oldest + 'T00:00:00Z')) / 86400000) + 1);
+        const days = [];
+        for (let i = span - 1; i >= 0; i--) {
+            const day = new Date(today - i * 86400000).toISOString().slice(0, 10);
+            days.push({ day, count: byDay[day] || 0 });
+        }
+        return days;
+    }
+
+    function sparklineHtml(days) {
+        if (days.length === 0) return 'No activity loaded';
+        const width = 300;
+        const height = 40;
+        const max = Math.max(1, ...days.map(d => d.count));
+        const step = days.length > 1 ? width / (days.length - 1) : 0;
+        const points = days.map((d, i) =>
+            `${(i * step).toFixed(1)},${(height - 2 - (d.count / max) * (height - 4)).toFixed(1)}`).join(' ');
+        const busiest = days.reduce((a, b) => (b.count > a.count ? b : a));
+
+        return `
+            <svg class="account-spark" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <polyline points="${points}" />
+            </svg>
+            <div>${days[0].day} &rarr; ${days[days.length - 1].day}, peak ${busiest.count} on ${busiest.day}</div>`;
+    }
+
+    function counterpartiesHtml(txs) {
+        const counts = new Map();
+        txs.forEach(t => {
+            if (t.counterparty) counts.set(t.counterparty, (counts.get(t.counterparty) || 0) + 1);
+        });
+        if (counts.size === 0) return 'None in loaded history';
+        const top = [...counts].sort((a, b) => b[1] - a[1]).slice(0, TOP_COUNTERPARTIES);
+
+        return `
+            <table class="drawer-fields">
+                ${top.map(([account, n]) => `<tr><th>${TxDetail.accountLink(account)}</th><td>${n} tx</td></tr>`).join('')}
+            </table>
+            ${counts.size > top.length ? `<div>+${counts.size - top.length} more</div>` : ''}`;
+    }
+
+    return { init, open };
+})();
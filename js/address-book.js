@@ -0,0 +1,131 @@
+/* ============================================
+   Address Book
+   Names and category tags for addresses and
+   validator keys: the bundled data/labels.json
+   plus labels the user adds, which win
+   ============================================ */
+
+const AddressBook = (() => {
+    const STORAGE_KEY = 'pftperry_labels';
+    const BUNDLED_URL = 'data/labels.json';
+    const CATEGORIES = ['exchange', 'faucet', 'validator', 'team'];
+
+    // Key (r-address, validator public key or domain) -> { name, category }
+    let bundled = {};
+    let user = {};
+    const changeListeners = new Set();
+
+    async function init() {
+        loadUser();
+        try {
+            const resp = await fetch(BUNDLED_URL, { cache: 'no-cache' });
+            if (!resp.ok) {
+                console.log('[Labels] No bundled labels.json available');
+                return;
+            }
+            const data = await resp.json();
+            bundled = normalizeAll(data && data.labels);
+            console.log(`[Labels] Loaded ${Object.keys(bundled).length} bundled labels`);
+            notifyChange();
+        } catch (e) {
+            console.warn('[Labels] Bundled labels load failed:', e);
+        }
+    }
+
+    function loadUser() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) user = normalizeAll(JSON.parse(stored));
+        } catch (e) {
+            console.warn('[Labels] User labels load failed:', e);
+        }
+    }
+
+    function saveUser() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(user));
+        } catch (e) {
+            console.warn('[Labels] User labels save failed:', e);
+        }
+    }
+
+    function normalizeAll(map) {
+        const out = {};
+        if (!map || typeof map !== 'object') return out;
+        for (const [key, entry] of Object.entries(map)) {
+            const label = normalize(entry);
+            if (label) out[key.trim()] = label;
+        }
+        return out;
+    }
+
+    // Unknown categories are kept as an untagged label
+    function normalize(entry) {
+        const name = String((entry && entry.name) || '').trim();
+        if (!name) return null;
+        const category = String(entry.category || '').trim().toLowerCase();
+        return { name, category: CATEGORIES.includes(category) ? category : '' };
+    }
+
+    function notifyChange() {
+        for (const listener of changeListeners) {
+            try {
+                listener();
+            } catch (e) {
+                console.error('[Labels] Change listener failed:', e);
+            }
+        }
+    }
+
+    // { name, category, source: 'user' | 'bundled' }, or null. A validator
+    // key falls back to a label filed under its domain, which survives rotation
+    function get(key) {
+        if (!key) return null;
+        for (const k of [key, ValidatorRegistry.getDomain(key)]) {
+            if (!k) continue;
+            if (user[k]) return { ...user[k], source: 'user' };
+            if (bundled[k]) return { ...bundled[k], source: 'bundled' };
+        }
+        return null;
+    }
+
+    // An empty name removes the user's label, uncovering any bundled one
+    function set(key, name, category) {
+        if (!key) return;
+        const label = normalize({ name, category });
+        if (label) user[key] = label;
+        else delete user[key];
+        saveUser();
+        notifyChange();
+    }
+
+    function tagHtml(category) {
+        return category ? `<span class="label-tag ${category}">${category.toUpperCase()}</span>` : '';
+    }
+
+    // Escaped name plus its tag, or '' when the key has no label
+    function labelHtml(key) {
+        const label = get(key);
+        return label ? `<span class="label-name">${TxDetail.escapeHtml(label.name)}</span>${tagHtml(label.category)}` : '';
+    }
+
+    // True when the key's label matches a filter: '' (anything), 'labeled' or a category
+    function matches(key, filter) {
+        if (!filter) return true;
+        const label = get(key);
+        if (!label) return false;
+        return filter === 'labeled' || label.category === filter;
+    }
+
+    function getCategories() {
+        return [...CATEGORIES];
+    }
+
+    // Called after bundled labels load and whenever the user edits one
+    function onChange(callback) {
+        changeListeners.add(callback);
+        return () => changeListeners.delete(callback);
+    }
+
+    return { init, get, set, tagHtml, labelHtml, matches, getCategories, onChange };
+})();
@@ -7,12 +7,15 @@ const App = (() => {
     const VHS_BASE = 'https://vhs.testnet.postfiat.org';
     const EXPLORER_API = 'https://explorer.testnet.postfiat.org/api/v1';
     const UPDATE_INTERVAL = 5000;
+    const UPTIME_HISTORY_DAYS = 90;
     let updateTimer = null;
     let usingMockData = false;
-    let nodesData = null;
     let validatorsData = [];   // Array of validator objects from VHS
-    let validatorLookup = {};  // signing_key -> { domain, ... }
     let mockFeedInterval = null;
+    let breakdownDay = null;   // UTC day shown in TX type / peak hour; null = today
+    let cohortGranularity = 'day';
+    let lastCohortRender = '';
+    let feedLabelFilter = '';  // Live feed: '' (all), 'labeled' or a label category
 
     // ---- Mock Data ----
     function getMockStats() {
@@ -51,7 +54,7 @@ const App = (() => {
             const day7 = Math.min(day1 + Math.floor(Math.random() * 30 + 20), set7.reduce((s, x) => s + x.count, 0));
             const set30 = history.slice(Math.max(0, i - 29), i + 1);
             const day30 = Math.min(day7 + Math.floor(Math.random() * 50 + 30), set30.reduce((s, x) => s + x.count, 0));
-            return { date: h.date, day1, day7, day30 };
+            return { date: h.date, day1, day7, day30, stickiness: day30 > 0 ? day1 / day30 * 100 : 0 };
         });
 
         const aw1d = Math.floor(Math.random() * 30 + 25);
@@ -63,6 +66,7 @@ const App = (() => {
             activeWallets1d: aw1d,
             activeWallets7d: aw7d,
             activeWallets30d: aw30d,
+            stickiness: aw1d / aw30d * 100,
             tps: (Math.random() * 2 + 0.5).toFixed(2),
             totalAccounts: Math.floor(Math.random() * 200 + 150),
             avgFee: Math.floor(Math.random() * 50 + 10),
@@ -81,18 +85,43 @@ const App = (() => {
             dawHistoryMulti: dawHistoryMulti,
             dawByDay: dawByDay,
             txVolHistory: txHistory.slice(-7),
-            retention: {
-                day3: '--',
-                day3numeric: 0,
-                day7: '--',
-                day7numeric: 0,
-                day30: '--',
-                day30numeric: 0
-            },
+            cohortMatrix: getMockCohortMatrix(),
+            successRate: 97 + Math.random() * 3,
+            failureBreakdown: [
+                { type: 'Payment', total: 240, failed: 5, codes: [{ code: 'tecPATH_DRY', count: 3 }, { code: 'tecNO_DST', count: 2 }] },
+                { type: 'OfferCreate', total: 30, failed: 2, codes: [{ code: 'tecUNFUNDED_OFFER', count: 2 }] }
+            ],
+            failureHistory: txHistory.slice(-7).map(d => ({ date: d.date, count: Math.floor(d.count * 0.03) })),
+            memoHistory: txHistory.slice(-7).map(d => ({
+                date: d.date,
+                categories: {
+                    'task-request': Math.floor(d.count * 0.2),
+                    'task-completion': Math.floor(d.count * 0.1),
+                    'reward': Math.floor(d.count * 0.05)
+                }
+            })),
             recentTxns: generateMockTxns(20)
         };
     }
 
+    function getMockCohortMatrix() {
+        const weekly = cohortGranularity === 'week';
+        const periods = weekly ? 12 : 30;
+        const rows = [];
+        for (let r = 0; r < periods; r++) {
+            const d = new Date(Date.now() - (periods - r) * (weekly ? 7 : 1) * 86400000);
+            const size = Math.floor(Math.random() * 20 + 5);
+            const cells = [];
+            for (let n = 1; n <= periods; n++) {
+                if (r + n >= periods) { cells.push(null); continue; }
+                const returned = Math.floor(size * Math.random() * 0.6 / Math.sqrt(n));
+                cells.push({ period: n, returned, rate: returned / size * 100 });
+            }
+            rows.push({ cohort: d.toISOString().slice(0, 10), size, cells });
+        }
+        return { granularity: weekly ? 'week' : 'day', periods, rows };
+    }
+
     function generateMockTxns(count) {
         const types = ['Payment', 'TrustSet', 'OfferCreate', 'AccountSet', 'Payment', 'Payment'];
         const txns = [];
@@ -103,6 +132,11 @@ const App = (() => {
                 hash: randomHex(64),
                 fee: Math.floor(Math.random() * 100 + 10),
                 amount: Math.random() > 0.5 ? String(Math.floor(Math.random() * 1000000)) : undefined,
+                result: Math.random() > 0.95 ? 'tecPATH_DRY' : 'tesSUCCESS',
+                ...(Math.random() > 0.6 ? {
+                    memos: [{ type: 'task', data: 'REQUEST_POST_FIAT ___ demo task', format: 'text/plain', binary: false }],
+                    memoCategory: 'task-request'
+                } : {}),
                 time: Date.now() - Math.floor(Math.random() * 300000)
             });
         }
@@ -150,20 +184,38 @@ const App = (() => {
     function formatFee(drops) {
         if (!drops || drops === '--') return '--';
         drops = Number(drops);
-        if (drops >= 1000000) return (drops / 1000000).toFixed(4) + ' XRP';
+        if (drops >= 1000000) return (drops / 1000000).toFixed(4) + ' PFT';
         return drops.toLocaleString() + ' drops';
     }
 
+    function getLiveStats() {
+        return MetricsEngine.getAllStats({ day: breakdownDay, cohort: cohortGranularity });
+    }
+
     function updateDashboard(stats) {
         updateMetricEl('metric-fee', stats.avgFee, 'fee');
         updateMetricEl('metric-interval', stats.ledgerInterval, 'interval');
         updateMetricEl('metric-height', stats.ledgerHeight, 'number');
         updateMetricEl('metric-txnuser', stats.avgTxnPerUser, 'tps');
         updateMetricEl('metric-peakhour', stats.peakHour);
+        updateMetricEl('metric-success', stats.successRate !== null && stats.successRate !== undefined
+            ? Number(stats.successRate).toFixed(1) + '%' : '--');
+
+        const peakDay = document.getElementById('metric-peakhour-day');
+        if (peakDay) peakDay.textContent = breakdownDay || '';
+        if (!usingMockData) updateBreakdownDayOptions();
 
         // Update charts
         DashboardCharts.update(stats);
 
+        updateFailureList(stats.failureBreakdown);
+        updateCohortHeatmap(stats.cohortMatrix);
+
+        const stickiness = document.getElementById('stickiness-badge');
+        if (stickiness && stats.stickiness !== undefined) {
+            stickiness.textContent = `STICKINESS ${Number(stats.stickiness).toFixed(1)}%`;
+        }
+
         // Update live feed
         updateLiveFeed(stats.recentTxns);
 
@@ -195,23 +247,31 @@ const App = (() => {
 
         newTxns.forEach(tx => {
             const item = document.createElement('div');
-            item.className = 'feed-item';
+            const failed = tx.result && tx.result !== 'tesSUCCESS';
+            const memo = tx.memos && tx.memos.length > 0 ? formatFeedMemo(tx) : '';
+            item.className = 'feed-item' + (failed ? ' failed' : '') + (memo ? ' has-memo' : '');
             item.dataset.hash = tx.hash;
+            item.dataset.account = tx.account || '';
+            item.dataset.destination = tx.destination || '';
+            item.tabIndex = 0;
+            if (tx.result) item.title = tx.result;
 
             const typeClass = getTypeClass(tx.type);
-            const shortAccount = tx.account ? tx.account.slice(0, 8) + '...' + tx.account.slice(-4) : '???';
             const amount = tx.amount ? formatFeedAmount(tx.amount) : '';
             const timeStr = tx.time ? new Date(tx.time).toLocaleTimeString('en-US', {
                 hour12: false, timeZone: 'UTC', hour: '2-digit', minute: '2-digit', second: '2-digit'
             }) : '';
 
             item.innerHTML = `
-                <span class="feed-type ${typeClass}">${tx.type}</span>
-                <span class="feed-account">${shortAccount}</span>
+                <span class="feed-type ${typeClass}">${TxDetail.escapeHtml(tx.type || 'Unknown')}</span>
+                <span class="feed-account">${feedPartiesHtml(item.dataset)}</span>
                 ${amount ? `<span class="feed-amount">${amount}</span>` : ''}
+                ${failed ? `<span class="feed-result">${TxDetail.escapeHtml(tx.result)}</span>` : ''}
                 <span class="feed-time">${timeStr}</span>
+                ${memo}
             `;
 
+            applyFeedFilter(item);
             feed.insertBefore(item, feed.firstChild);
         });
 
@@ -221,6 +281,184 @@ const App = (() => {
         }
     }
 
+    // Sender by address book name or short address; a labelled destination
+    // is shown too, since deposits to a known wallet are what people look for
+    function feedPartiesHtml({ account, destination }) {
+        const party = address => AddressBook.labelHtml(address) || TxDetail.escapeHtml(address.slice(0, 8) + '...' + address.slice(-4));
+        const sender = account ? party(account) : '???';
+        return destination && AddressBook.get(destination) ? `${sender} &rarr; ${party(destination)}` : sender;
+    }
+
+    function applyFeedFilter(item) {
+        const { account, destination } = item.dataset;
+        const shown = !feedLabelFilter || [account, destination].some(a => AddressBook.matches(a, feedLabelFilter));
+        item.classList.toggle('hidden', !shown);
+    }
+
+    // Labels load after the first transactions and can be edited, so
+    // existing items are renamed and refiltered in place
+    function relabelFeed() {
+        const feed = document.getElementById('live-feed');
+        if (!feed) return;
+        feed.querySelectorAll('.feed-item').forEach(item => {
+            const account = item.querySelector('.feed-account');
+            if (account) account.innerHTML = feedPartiesHtml(item.dataset);
+            applyFeedFilter(item);
+        });
+    }
+
+    // Feed items open the transaction drawer; demo transactions have no
+    // real hash to look up
+    function initLiveFeed() {
+        TxDetail.init();
+        AccountProfile.init();
+        const feed = document.getElementById('live-feed');
+        if (!feed) return;
+
+        const filter = document.getElementById('feed-label-filter');
+        if (filter) {
+            filter.addEventListener('change', () => {
+                feedLabelFilter = filter.value;
+                relabelFeed();
+            });
+        }
+        AddressBook.onChange(relabelFeed);
+
+        const openItem = (item) => {
+            if (item && !usingMockData) TxDetail.open(item.dataset.hash);
+        };
+        feed.addEventListener('click', (e) => openItem(e.target.closest('.feed-item')));
+        feed.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') openItem(e.target.closest('.feed-item'));
+        });
+    }
+
+    // ---- Failure Codes ----
+    function updateFailureList(breakdown) {
+        const list = document.getElementById('failure-list');
+        if (!list || !breakdown) return;
+
+        const badge = document.getElementById('failure-codes-badge');
+        if (badge) badge.textContent = breakdownDay || 'TODAY';
+
+        if (breakdown.length === 0) {
+            list.innerHTML = '<div class="feed-placeholder">No failed transactions</div>';
+            return;
+        }
+
+        list.innerHTML = breakdown.map(row => {
+            const pct = row.total > 0 ? (row.failed / row.total * 100).toFixed(1) : '0.0';
+            const codes = row.codes.map(c => `<span class="failure-code">${TxDetail.escapeHtml(c.code)} &times;${c.count}</span>`).join('');
+            return `
+                <div class="failure-row">
+                    <div class="failure-row-header">
+                        <span class="failure-type">${TxDetail.escapeHtml(row.type)}</span>
+                        <span class="failure-rate">${row.failed} / ${row.total} failed (${pct}%)</span>
+                    </div>
+                    ${codes}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // ---- Cohort Retention Heatmap ----
+    function updateCohortHeatmap(matrix) {
+        const container = document.getElementById('cohort-heatmap');
+        if (!container || !matrix) return;
+
+        const signature = JSON.stringify(matrix);
+        if (signature === lastCohortRender) return;
+        lastCohortRender = signature;
+
+        if (matrix.rows.length === 0) {
+            container.innerHTML = '<div class="feed-placeholder">Waiting on data&hellip;</div>';
+            return;
+        }
+
+        const prefix = matrix.granularity === 'week' ? 'W' : 'D';
+        const showValues = matrix.periods <= 12;
+        let header = '<th class="cohort-label">COHORT</th><th>SIZE</th>';
+        for (let n = 1; n <= matrix.periods; n++) header += `<th>${prefix}${n}</th>`;
+
+        const body = matrix.rows.map(row => {
+            const cells = row.cells.map(cell => {
+                if (!cell) return '<td class="pending"></td>';
+                // Opacity tracks the return rate; 50%+ is full intensity
+                const alpha = Math.min(cell.rate / 50, 1) * 0.85 + 0.05;
+                return `<td style="background: rgba(0, 240, 255, ${alpha.toFixed(2)})"
+                            data-cohort="${row.cohort}" data-size="${row.size}"
+                            data-period="${prefix}${cell.period}" data-returned="${cell.returned}"
+                            data-rate="${cell.rate.toFixed(1)}">${showValues ? Math.round(cell.rate) : ''}</td>`;
+            }).join('');
+            return `<tr><th class="cohort-label">${row.cohort.slice(5)}</th><th>${row.size}</th>${cells}</tr>`;
+        }).join('');
+
+        container.innerHTML = `<table class="cohort-table"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>`;
+    }
+
+    function initCohortHeatmap() {
+        const toggle = document.getElementById('cohort-toggle');
+        const container = document.getElementById('cohort-heatmap');
+        const tooltip = document.getElementById('cohort-tooltip');
+
+        if (toggle) {
+            toggle.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-granularity]');
+                if (!button) return;
+                cohortGranularity = button.dataset.granularity;
+                toggle.querySelectorAll('button').forEach(b => b.classList.toggle('active', b === button));
+                updateDashboard(usingMockData ? getMockStats() : getLiveStats());
+            });
+        }
+
+        if (container && tooltip) {
+            container.addEventListener('mousemove', (e) => {
+                const cell = e.target.closest('td[data-cohort]');
+                if (!cell) {
+                    tooltip.classList.add('hidden');
+                    return;
+                }
+                const unit = cohortGranularity === 'week' ? 'Week of' : 'Cohort';
+                tooltip.innerHTML = `${unit} ${cell.dataset.cohort} &middot; ${cell.dataset.size} wallets<br>` +
+                    `${cell.dataset.period}: ${cell.dataset.returned} returned (${cell.dataset.rate}%)`;
+                tooltip.style.left = (e.clientX + 12) + 'px';
+                tooltip.style.top = (e.clientY + 12) + 'px';
+                tooltip.classList.remove('hidden');
+            });
+            container.addEventListener('mouseleave', () => tooltip.classList.add('hidden'));
+        }
+    }
+
+    // ---- Breakdown day picker ----
+    function updateBreakdownDayOptions() {
+        const select = document.getElementById('breakdown-day');
+        if (!select) return;
+        const today = new Date().toISOString().slice(0, 10);
+        const days = MetricsEngine.getBreakdownDays().filter(d => d !== today);
+        const current = [...select.options].slice(1).map(o => o.value);
+        if (current.join() === days.join()) return;
+
+        select.length = 1;
+        days.forEach(date => {
+            const option = document.createElement('option');
+            option.value = date;
+            option.textContent = date;
+            select.appendChild(option);
+        });
+        select.value = breakdownDay || '';
+    }
+
+    function initBreakdownDayPicker() {
+        const select = document.getElementById('breakdown-day');
+        if (!select) return;
+        select.addEventListener('change', () => {
+            breakdownDay = select.value || null;
+            if (!usingMockData && MetricsEngine.hasData()) {
+                updateDashboard(getLiveStats());
+            }
+        });
+    }
+
     function getTypeClass(type) {
         if (!type) return 'other';
         const t = type.toLowerCase();
@@ -230,23 +468,35 @@ const App = (() => {
         return 'other';
     }
 
+    // Memo payloads are arbitrary user text, so everything here is escaped
+    function formatFeedMemo(tx) {
+        const first = tx.memos[0];
+        const text = first.binary ? '[binary ' + (first.data.length / 2) + ' bytes]' : (first.data || first.type);
+        const more = tx.memos.length > 1 ? ` (+${tx.memos.length - 1})` : '';
+        const full = tx.memos.map(m => [m.type, m.data].filter(Boolean).join(': ')).join('\n');
+        return `
+            <span class="feed-memo" title="${TxDetail.escapeHtml(full)}">
+                <span class="feed-memo-category">${TxDetail.escapeHtml(tx.memoCategory || MemoDecoder.UNCATEGORIZED)}</span>
+                <span class="feed-memo-text">${TxDetail.escapeHtml(text + more)}</span>
+            </span>
+        `;
+    }
+
+    // Same figures as the detail drawer, without its issuer link
     function formatFeedAmount(amount) {
         if (typeof amount === 'object') {
-            return `${Number(amount.value).toFixed(2)} ${amount.currency}`;
+            const value = Number(amount.value).toLocaleString(undefined, { maximumFractionDigits: 15 });
+            return `${TxDetail.escapeHtml(value)} ${TxDetail.escapeHtml(TxDetail.currencyName(amount.currency))}`;
         }
-        const xrp = Number(amount) / 1000000;
-        if (xrp > 0) return xrp.toFixed(2) + ' XRP';
-        return '';
+        return Number(amount) > 0 ? TxDetail.formatPft(amount) : '';
     }
 
-    // ---- Node Grid ----
+    // ---- Network Topology ----
     function resolveNodeName(node) {
-        // Check if this node's public key matches a validator's signing_key
+        // Check if this node's public key is a validator's master or signing key
         const pubKey = node.node_public_key || '';
-        const validator = validatorLookup[pubKey];
-        if (validator && validator.domain) {
-            return validator.domain;
-        }
+        const domain = ValidatorRegistry.getDomain(pubKey);
+        if (domain) return domain;
         // Fallback: city, country_code
         if (node.city && node.country_code) {
             return node.city + ', ' + node.country_code;
@@ -257,75 +507,266 @@ const App = (() => {
         return pubKey ? pubKey.slice(0, 12) + '...' : 'Node';
     }
 
-    function updateNodeGrid(nodes) {
-        const grid = document.getElementById('node-grid');
-        if (!grid) return;
+    function updateTopology(nodes) {
+        const versionOf = node => (node.version || '').replace(/^\D*/, '');
+        const newestVersion = nodes.reduce((newest, node) => {
+            const version = versionOf(node);
+            return version && (!newest || compareVersions(version, newest) > 0) ? version : newest;
+        }, '');
+
+        const summary = TopologyView.update(nodes.map(node => {
+            const version = versionOf(node);
+            return {
+                key: node.node_public_key,
+                name: resolveNodeName(node),
+                state: node.server_state,
+                version,
+                outdated: Boolean(version && compareVersions(version, newestVersion) < 0),
+                isValidator: ValidatorRegistry.resolve(node.node_public_key) !== null,
+                lat: node.lat,
+                lon: node.long !== undefined ? node.long : node.lon,
+                country: node.country_code,
+                city: node.city,
+                uptime: node.uptime ? formatUptime(node.uptime) : '',
+                inbound: node.inbound_count,
+                outbound: node.outbound_count
+            };
+        }));
 
-        if (!nodes || nodes.length === 0) {
-            grid.innerHTML = '<div class="node-placeholder">No node data available</div>';
-            return;
+        const badge = document.getElementById('topology-badge');
+        if (badge) {
+            badge.textContent = `${nodes.length} NODES \u00b7 ${summary.located} MAPPED`;
         }
+    }
 
-        grid.innerHTML = '';
-        nodes.forEach(node => {
-            const card = document.createElement('div');
-            card.className = 'node-card';
-            const statusClass = node.uptime ? 'online' : 'offline';
-            const nodeName = resolveNodeName(node);
-            const serverState = node.server_state ? 'State: ' + node.server_state : '';
-            card.innerHTML = `
-                <div class="node-name"><span class="node-status ${statusClass}"></span>${nodeName}</div>
-                <div class="node-detail">${node.version || 'Unknown version'}</div>
-                ${serverState ? `<div class="node-detail">${serverState}</div>` : ''}
-                <div class="node-detail">${node.uptime ? 'Uptime: ' + formatUptime(node.uptime) : ''}</div>
-            `;
-            grid.appendChild(card);
+    function initTopology() {
+        TopologyView.init();
+        const toggle = document.getElementById('topology-color');
+        if (!toggle) return;
+        toggle.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-color]');
+            if (!button) return;
+            toggle.querySelectorAll('button').forEach(b => b.classList.toggle('active', b === button));
+            TopologyView.setColorMode(button.dataset.color);
         });
     }
 
-    function updateValidatorGrid(validators) {
-        const grid = document.getElementById('node-grid');
-        if (!grid) return;
+    // Master key for a configured validator, given as a domain or public key.
+    // A key the registry has not seen yet is used as is; a domain waits for VHS.
+    function resolveChoice(choice) {
+        return ValidatorRegistry.resolve(choice)
+            || ValidatorRegistry.findByDomain(choice)
+            || (choice.includes('.') ? null : choice);
+    }
+
+    function chosenValidators() {
+        return Settings.get('validators').map(choice => ({ choice, masterKey: resolveChoice(choice) }));
+    }
+
+    // The first configured validator drives the top cards and live agreement
+    function myMasterKey() {
+        const [primary] = chosenValidators();
+        return primary ? primary.masterKey : null;
+    }
+
+    // VHS rows are matched by master key, so a signing key rotation that VHS
+    // has not caught up with still finds the right validator
+    function validatorMasterKey(v) {
+        return ValidatorRegistry.resolve(v.master_key || v.signing_key) || v.master_key || v.signing_key;
+    }
+
+    // ---- Validator Leaderboard ----
+    // Columns sort on click; numbers default to descending, text to ascending
+    const LEADERBOARD_SORTS = {
+        name: 1, agreement24h: -1, agreement30d: -1, missed: -1, live: -1, version: -1, unl: -1, verified: -1
+    };
+    let leaderboardSort = { key: 'agreement24h', dir: -1 };
+    const leaderboardFilter = { text: '', unl: false, outdated: false };
+    // Master key -> { tr, html } so a redraw only touches rows that changed
+    const leaderboardRows = new Map();
+
+    // Compare "2.3.0" style versions; a pre-release sorts before its release
+    function compareVersions(a, b) {
+        const parse = v => {
+            const m = /^(\d+)\.(\d+)\.(\d+)(.*)$/.exec(v) || [];
+            return [Number(m[1]) || 0, Number(m[2]) || 0, Number(m[3]) || 0, m[4] || ''];
+        };
+        const pa = parse(a), pb = parse(b);
+        for (let i = 0; i < 3; i++) {
+            if (pa[i] !== pb[i]) return pa[i] - pb[i];
+        }
+        if (pa[3] === pb[3]) return 0;
+        if (!pa[3]) return 1;
+        if (!pb[3]) return -1;
+        return pa[3] < pb[3] ? -1 : 1;
+    }
+
+    function leaderboardRow(v, newestVersion) {
+        const masterKey = validatorMasterKey(v);
+        const score = agreement => agreement ? parseFloat(agreement.score) : null;
+        const live = ValidationTracker.getStats(masterKey);
+        const version = v.server_version || '';
+        const label = AddressBook.get(masterKey);
+        return {
+            key: masterKey,
+            name: (label && label.name) || ValidatorRegistry.getDomain(masterKey) || v.domain || '',
+            tag: label ? label.category : '',
+            signingKey: v.signing_key || '',
+            agreement24h: score(v.agreement_24h),
+            agreement30d: score(v.agreement_30day),
+            missed: v.agreement_30day ? Number(v.agreement_30day.missed) : null,
+            live: live.agreement,
+            liveLedgers: live.ledgers,
+            version,
+            unl: v.unl === 'rpc',
+            verified: v.domain_verified === true,
+            outdated: Boolean(version && newestVersion && compareVersions(version, newestVersion) < 0),
+            rotation: ValidatorRegistry.getRotations(masterKey)[0]
+        };
+    }
+
+    function compareRows(a, b) {
+        const { key, dir } = leaderboardSort;
+        const x = a[key], y = b[key];
+        // Missing values sort last in either direction
+        if (x === null || x === '') return y === null || y === '' ? 0 : 1;
+        if (y === null || y === '') return -1;
+        if (key === 'version') return dir * compareVersions(x, y);
+        if (typeof x === 'string') return dir * x.localeCompare(y);
+        return dir * (Number(x) - Number(y));
+    }
+
+    function matchesFilter(row) {
+        if (leaderboardFilter.unl && !row.unl) return false;
+        if (leaderboardFilter.outdated && !row.outdated) return false;
+        const text = leaderboardFilter.text;
+        if (!text) return true;
+        return [row.name, row.tag, row.key, row.signingKey, row.version].some(field => field && field.toLowerCase().includes(text));
+    }
+
+    function leaderboardRowHtml(row) {
+        const percent = value => value !== null ? (value * 100).toFixed(2) + '%' : '--';
+        const status = row.agreement24h !== null && row.agreement24h > 0.5 ? 'online' : 'offline';
+        const name = row.name || (row.key ? row.key.slice(0, 12) + '...' : 'Validator');
+        const rotated = row.rotation
+            ? `<span class="leaderboard-note">key rotated ${formatAgo(Date.now() - row.rotation.time).toLowerCase()}</span>`
+            : '';
+        return `
+            <td class="leaderboard-name" title="${TxDetail.escapeHtml(row.key || '')}"><span class="node-status ${status}"></span>${TxDetail.escapeHtml(name)}${AddressBook.tagHtml(row.tag)}${rotated}</td>
+            <td>${percent(row.agreement24h)}</td>
+            <td>${percent(row.agreement30d)}</td>
+            <td>${row.missed !== null ? row.missed.toLocaleString() : '--'}</td>
+            <td title="${row.liveLedgers} ledgers">${row.live !== null ? row.live.toFixed(1) + '%' : '--'}</td>
+            <td class="${row.outdated ? 'outdated' : ''}">${row.version ? TxDetail.escapeHtml(row.version) : '--'}</td>
+            <td>${row.unl ? 'UNL' : ''}</td>
+            <td class="${row.verified ? 'verified' : 'unverified'}">${row.verified ? '\u2713' : '\u2717'}</td>`;
+    }
+
+    function updateLeaderboard(validators) {
+        const body = document.getElementById('leaderboard-body');
+        const empty = document.getElementById('leaderboard-empty');
+        if (!body) return;
 
         if (!validators || validators.length === 0) {
-            grid.innerHTML = '<div class="node-placeholder">No validator data available</div>';
+            if (empty) {
+                empty.textContent = 'No validator data available';
+                empty.classList.remove('hidden');
+            }
             return;
         }
 
-        grid.innerHTML = '';
-        // Sort by 24h agreement score descending, with our validator pinned first
-        const sorted = [...validators].sort((a, b) => {
-            const aIsMine = a.domain === 'validator.pftperry.com';
-            const bIsMine = b.domain === 'validator.pftperry.com';
-            if (aIsMine) return -1;
-            if (bIsMine) return 1;
-            const aScore = a.agreement_24h ? parseFloat(a.agreement_24h.score) : 0;
-            const bScore = b.agreement_24h ? parseFloat(b.agreement_24h.score) : 0;
-            return bScore - aScore;
-        });
-        sorted.forEach(v => {
-            const card = document.createElement('div');
-            const isMine = v.domain === 'validator.pftperry.com';
-            card.className = 'node-card' + (isMine ? ' my-validator' : '');
-
-            // Use agreement_24h score to determine online status
-            const score24h = v.agreement_24h ? parseFloat(v.agreement_24h.score) : 0;
-            const statusClass = score24h > 0.5 ? 'online' : 'offline';
-
-            // Display domain if available, otherwise truncated validation_public_key
-            const name = v.domain || (v.validation_public_key ? v.validation_public_key.slice(0, 12) + '...' : 'Validator');
-
-            const version = v.server_version ? 'v' + v.server_version : '';
-            const agreement = score24h > 0 ? (score24h * 100).toFixed(1) + '% (24h)' : '';
-            const unl = v.unl === 'rpc' ? ' [UNL]' : '';
-
-            card.innerHTML = `
-                <div class="node-name"><span class="node-status ${statusClass}"></span>${name}${unl}</div>
-                ${version ? `<div class="node-detail">${version}</div>` : ''}
-                ${agreement ? `<div class="node-detail">Agreement: ${agreement}</div>` : ''}
-            `;
-            grid.appendChild(card);
+        const newestVersion = validators.reduce((newest, v) => {
+            const version = v.server_version;
+            return version && (!newest || compareVersions(version, newest) > 0) ? version : newest;
+        }, '');
+        const rows = validators.map(v => leaderboardRow(v, newestVersion));
+
+        // Chosen validators stay pinned on top in their configured order
+        const chosen = chosenValidators().map(c => c.masterKey);
+        const rank = row => {
+            const i = chosen.indexOf(row.key);
+            return i === -1 ? chosen.length : i;
+        };
+        rows.sort((a, b) => rank(a) - rank(b) || compareRows(a, b));
+        const visible = rows.filter(matchesFilter);
+
+        // Update changed rows in place, then move them into order
+        const seen = new Set();
+        visible.forEach((row, i) => {
+            seen.add(row.key);
+            let entry = leaderboardRows.get(row.key);
+            if (!entry) {
+                entry = { tr: document.createElement('tr'), html: '' };
+                leaderboardRows.set(row.key, entry);
+            }
+            const html = leaderboardRowHtml(row);
+            if (entry.html !== html) {
+                entry.tr.innerHTML = html;
+                entry.html = html;
+            }
+            const rowClass = i < chosen.length && row.key === chosen[i]
+                ? (i === 0 ? 'my-validator' : 'chosen-validator')
+                : '';
+            if (entry.tr.className !== rowClass) entry.tr.className = rowClass;
+            if (body.children[i] !== entry.tr) body.insertBefore(entry.tr, body.children[i] || null);
         });
+        for (const [key, entry] of leaderboardRows) {
+            if (seen.has(key)) continue;
+            entry.tr.remove();
+            if (!rows.some(row => row.key === key)) leaderboardRows.delete(key);
+        }
+
+        if (empty) {
+            empty.textContent = 'No validators match the filter';
+            empty.classList.toggle('hidden', visible.length > 0);
+        }
+
+        const badge = document.getElementById('leaderboard-count');
+        if (badge) {
+            const unl = rows.filter(row => row.unl).length;
+            const outdated = rows.filter(row => row.outdated).length;
+            const shown = visible.length === rows.length ? `${rows.length}` : `${visible.length} / ${rows.length}`;
+            badge.textContent = `${shown} VALIDATORS \u00b7 ${unl} UNL \u00b7 ${outdated} OUTDATED`;
+        }
+    }
+
+    function initLeaderboard() {
+        const head = document.getElementById('leaderboard-head');
+        const filter = document.getElementById('leaderboard-filter');
+        const toggles = document.getElementById('leaderboard-toggles');
+        const redraw = () => updateLeaderboard(validatorsData);
+
+        if (head) {
+            head.addEventListener('click', (e) => {
+                const th = e.target.closest('th[data-sort]');
+                if (!th) return;
+                const key = th.dataset.sort;
+                leaderboardSort = leaderboardSort.key === key
+                    ? { key, dir: -leaderboardSort.dir }
+                    : { key, dir: LEADERBOARD_SORTS[key] };
+                head.querySelectorAll('th[data-sort]').forEach(cell => {
+                    cell.classList.toggle('sort-asc', cell === th && leaderboardSort.dir === 1);
+                    cell.classList.toggle('sort-desc', cell === th && leaderboardSort.dir === -1);
+                });
+                redraw();
+            });
+        }
+        if (filter) {
+            filter.addEventListener('input', () => {
+                leaderboardFilter.text = filter.value.trim().toLowerCase();
+                redraw();
+            });
+        }
+        if (toggles) {
+            toggles.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-filter]');
+                if (!button) return;
+                const key = button.dataset.filter;
+                leaderboardFilter[key] = !leaderboardFilter[key];
+                button.classList.toggle('active', leaderboardFilter[key]);
+                redraw();
+            });
+        }
     }
 
     function formatUptime(seconds) {
@@ -337,7 +778,19 @@ const App = (() => {
     }
 
     function updateValidatorCards(v) {
-        if (!v) return;
+        const title = document.getElementById('my-validator-name');
+        if (title) {
+            const [primary] = chosenValidators();
+            const domain = primary && validatorName(primary.masterKey, primary.choice);
+            title.textContent = domain ? domain.toUpperCase() : 'NO VALIDATOR SELECTED';
+        }
+        if (!v) {
+            // VHS has loaded but does not list the chosen validator
+            if (validatorsData.length > 0) {
+                ['metric-agreement', 'metric-agreement-30d', 'metric-missed', 'metric-total'].forEach(id => updateMetricEl(id, '--'));
+            }
+            return;
+        }
         // Agreement 24H — number first, then label
         const score24 = v.agreement_24h ? (parseFloat(v.agreement_24h.score) * 100).toFixed(2) + '%' : '--';
         updateMetricEl('metric-agreement', score24);
@@ -352,6 +805,178 @@ const App = (() => {
         updateMetricEl('metric-total', total);
     }
 
+    // ---- Validator Comparison ----
+    function updateComparison() {
+        const body = document.getElementById('compare-body');
+        if (!body) return;
+        const chosen = chosenValidators();
+        if (chosen.length === 0) {
+            body.innerHTML = '<tr><td colspan="6" class="compare-empty">No validators selected</td></tr>';
+            return;
+        }
+
+        const percent = (agreement) => agreement ? (parseFloat(agreement.score) * 100).toFixed(2) + '%' : '--';
+        body.innerHTML = chosen.map(({ choice, masterKey }, i) => {
+            const v = masterKey && validatorsData.find(row => validatorMasterKey(row) === masterKey);
+            const name = validatorName(masterKey, (v && v.domain) || choice);
+            const label = AddressBook.get(masterKey);
+            const live = ValidationTracker.getStats(masterKey);
+            const missed = v && v.agreement_30day ? Number(v.agreement_30day.missed).toLocaleString() : '--';
+            return `
+                <tr class="${i === 0 ? 'primary' : ''}">
+                    <td class="compare-name" title="${TxDetail.escapeHtml(masterKey || choice)}">${TxDetail.escapeHtml(name)}${label ? AddressBook.tagHtml(label.category) : ''}${v ? '' : ' <span class="compare-missing">NOT FOUND</span>'}</td>
+                    <td>${v ? percent(v.agreement_24h) : '--'}</td>
+                    <td>${v ? percent(v.agreement_30day) : '--'}</td>
+                    <td>${missed}</td>
+                    <td>${live.agreement !== null ? live.agreement.toFixed(2) + '%' : '--'}</td>
+                    <td>${v && v.server_version ? TxDetail.escapeHtml(v.server_version) : '--'}</td>
+                </tr>`;
+        }).join('');
+    }
+
+    // Address book name first, then the manifest or VHS domain
+    function validatorName(masterKey, fallback) {
+        const label = AddressBook.get(masterKey);
+        if (label) return label.name;
+        return (masterKey && ValidatorRegistry.getDomain(masterKey)) || fallback;
+    }
+
+    // Re-render everything that depends on which validators are chosen
+    function refreshValidatorViews() {
+        const myKey = myMasterKey();
+        ValidationTracker.setMyValidator(myKey);
+        ValidationTracker.setChosenValidators(chosenValidators().map(c => c.masterKey));
+        updateValidatorCards(validatorsData.find(v => validatorMasterKey(v) === myKey));
+        if (validatorsData.length > 0) updateLeaderboard(validatorsData);
+        updateComparison();
+    }
+
+    // ---- Settings Panel ----
+    function initSettingsPanel() {
+        const toggle = document.getElementById('settings-toggle');
+        const panel = document.getElementById('settings-panel');
+        const input = document.getElementById('settings-validators');
+        const endpointsInput = document.getElementById('settings-endpoints');
+        const endpointsError = document.getElementById('settings-endpoints-error');
+        const form = document.getElementById('settings-form');
+        if (!toggle || !panel || !input || !endpointsInput || !form) return;
+
+        const splitList = value => value.split(/[\s,]+/).map(v => v.trim()).filter(Boolean);
+
+        toggle.addEventListener('click', () => {
+            input.value = Settings.get('validators').join(', ');
+            endpointsInput.value = Settings.get('endpoints').join(', ');
+            if (endpointsError) endpointsError.classList.add('hidden');
+            panel.classList.toggle('hidden');
+        });
+        const cancel = document.getElementById('settings-cancel');
+        if (cancel) cancel.addEventListener('click', () => panel.classList.add('hidden'));
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const endpoints = splitList(endpointsInput.value);
+            const invalid = endpoints.filter(url => !/^wss?:\/\/\S+$/.test(url));
+            if (endpoints.length === 0 || invalid.length > 0) {
+                if (endpointsError) {
+                    endpointsError.textContent = invalid.length > 0
+                        ? `Not a ws:// or wss:// URL: ${invalid.join(', ')}`
+                        : 'Enter at least one endpoint.';
+                    endpointsError.classList.remove('hidden');
+                }
+                return;
+            }
+            if (endpointsError) endpointsError.classList.add('hidden');
+
+            Settings.set('validators', splitList(input.value));
+            // The socket picks its endpoints once at load, so a new list needs a reload
+            const endpointsChanged = endpoints.join(',') !== Settings.get('endpoints').join(',');
+            Settings.set('endpoints', endpoints);
+            if (endpointsChanged) {
+                window.location.reload();
+                return;
+            }
+            panel.classList.add('hidden');
+            refreshValidatorViews();
+        });
+
+        // URL parameters win over saved settings, so say so rather than
+        // appear to ignore the save
+        const note = document.getElementById('settings-url-note');
+        if (note) {
+            const params = new URLSearchParams(window.location.search);
+            const overridden = ['validators', 'endpoints'].filter(key => params.has(key));
+            note.textContent = 'The ' + overridden.map(key => `?${key}=`).join(' and ') +
+                ` URL parameter${overridden.length > 1 ? 's override these settings' : ' overrides this setting'}.`;
+            note.classList.toggle('hidden', overridden.length === 0);
+        }
+    }
+
+    // ---- Live Agreement ----
+    // From the validations stream, shown under the VHS numbers
+    function updateLiveAgreement() {
+        if (usingMockData) return;
+        const stats = ValidationTracker.getMyStats();
+        const alertAt = Settings.get('missedLedgerAlert');
+        const missing = stats.missedStreak >= alertAt;
+
+        const agreementEl = document.getElementById('metric-agreement-change');
+        if (agreementEl) {
+            agreementEl.textContent = stats.agreement !== null
+                ? `LIVE ${stats.agreement.toFixed(2)}% \u00b7 ${stats.ledgers} LEDGERS`
+                : 'LIVE: WAITING FOR VALIDATIONS';
+            agreementEl.classList.toggle('negative', missing);
+        }
+
+        const lastEl = document.getElementById('metric-missed-change');
+        if (lastEl) {
+            if (missing) {
+                lastEl.textContent = `MISSED ${stats.missedStreak} LEDGERS IN A ROW`;
+            } else if (stats.lastValidationAt) {
+                lastEl.textContent = `LAST VALIDATION ${formatAgo(Date.now() - stats.lastValidationAt)}`;
+            } else {
+                lastEl.textContent = '';
+            }
+            lastEl.classList.toggle('negative', missing);
+        }
+
+        ['card-agreement', 'card-missed'].forEach(id => {
+            const card = document.getElementById(id);
+            if (card) card.classList.toggle('alert', missing);
+        });
+    }
+
+    function formatAgo(ms) {
+        const s = Math.floor(ms / 1000);
+        if (s < 60) return `${s}S AGO`;
+        if (s < 3600) return `${Math.floor(s / 60)}M AGO`;
+        return `${Math.floor(s / 3600)}H AGO`;
+    }
+
+    // ---- Uptime History ----
+    // Snapshots written by scripts/collect-daily-stats.js on every run
+    async function loadValidatorHistory() {
+        try {
+            const resp = await fetch('data/validator-history.json', { cache: 'no-cache' });
+            if (!resp.ok) return;
+            const history = await resp.json();
+            if (!history || !Array.isArray(history.runs)) return;
+
+            const cutoff = Date.now() - UPTIME_HISTORY_DAYS * 86400000;
+            const runs = history.runs.filter(r => Date.parse(r.time) >= cutoff);
+            const threshold = Settings.get('uptimeThreshold');
+            const below = DashboardCharts.updateUptimeHistory(runs, threshold);
+
+            const badge = document.getElementById('uptime-history-badge');
+            if (badge) {
+                badge.textContent = below > 0
+                    ? `${UPTIME_HISTORY_DAYS}D \u00b7 ${below} BELOW ${(threshold * 100).toFixed(1)}%`
+                    : `${UPTIME_HISTORY_DAYS}D`;
+                badge.classList.toggle('alert', below > 0);
+            }
+        } catch (e) {
+            console.warn('[App] Validator history load failed:', e);
+        }
+    }
+
     // ---- VHS API ----
     async function fetchVHS() {
         // Fetch validators first to build lookup and populate grid
@@ -362,19 +987,9 @@ const App = (() => {
                 if (Array.isArray(validators)) {
                     console.log(`[VHS] Loaded ${validators.length} validators`);
                     validatorsData = validators;
-                    validatorLookup = {};
-                    validators.forEach(v => {
-                        if (v.signing_key) {
-                            validatorLookup[v.signing_key] = {
-                                domain: v.domain || '',
-                                server_version: v.server_version || ''
-                            };
-                        }
-                    });
-                    updateValidatorGrid(validators);
-                    // Find our validator and update top cards
-                    const myValidator = validators.find(v => v.domain === 'validator.pftperry.com');
-                    updateValidatorCards(myValidator);
+                    ValidatorRegistry.addValidators(validators);
+                    // Grid, top cards and comparison for the chosen validators
+                    refreshValidatorViews();
                 }
             }
         );
@@ -385,8 +1000,8 @@ const App = (() => {
             (data) => {
                 const nodes = data.nodes || data;
                 if (Array.isArray(nodes) && nodes.length > 0) {
-                    nodesData = nodes;
                     console.log(`[VHS] Loaded ${nodes.length} topology nodes`);
+                    updateTopology(nodes);
                 }
             }
         );
@@ -442,6 +1057,13 @@ const App = (() => {
     }
 
     // ---- Connection Status ----
+    function setBackfillStatus({ remaining }) {
+        const el = document.getElementById('status-backfill');
+        if (!el) return;
+        el.textContent = `BACKFILLING ${remaining} LEDGER${remaining === 1 ? '' : 'S'}`;
+        el.classList.toggle('hidden', remaining === 0);
+    }
+
     function setConnectionStatus(status) {
         const dot = document.getElementById('status-dot');
         const text = document.getElementById('status-text');
@@ -495,9 +1117,20 @@ const App = (() => {
         startClock();
 
         // Init metrics & charts
-        MetricsEngine.init();
+        await MetricsEngine.init();
         await MetricsEngine.loadRemoteStats();
         DashboardCharts.init();
+        initBreakdownDayPicker();
+        initCohortHeatmap();
+        initLeaderboard();
+        initTopology();
+        AddressBook.init();
+        initLiveFeed();
+        Search.init();
+        Watchlist.init();
+
+        // Stored daily stats are enough to fill the charts before the socket connects
+        if (MetricsEngine.hasData() || MetricsEngine.hasStoredStats()) updateDashboard(getLiveStats());
 
         // Show dashboard, hide splash
         setTimeout(() => {
@@ -507,27 +1140,44 @@ const App = (() => {
             if (dashboard) dashboard.classList.add('visible');
         }, 500);
 
+        // Live agreement needs our key before validations start arriving
+        ValidatorRegistry.init();
+        ValidationTracker.init();
+        ValidatorRegistry.onChange(refreshValidatorViews);
+        AddressBook.onChange(refreshValidatorViews);
+        initSettingsPanel();
+        refreshValidatorViews();
+
         // Connect WebSocket
-        WebSocketManager.onConnection(setConnectionStatus);
-
-        WebSocketManager.onLedger((type, data) => {
-            if (type === 'server_info') {
-                MetricsEngine.processServerInfo(data);
-            } else if (type === 'ledger') {
-                MetricsEngine.processLedger(data);
-            } else if (type === 'ledgerClosed') {
-                MetricsEngine.processLedgerClosed(data);
-            }
+        WebSocketManager.on('status', setConnectionStatus);
+        WebSocketManager.on('backfill', setBackfillStatus);
+
+        // Update dashboard with real data after each message
+        WebSocketManager.on('server_info', data => {
+            MetricsEngine.processServerInfo(data);
+            updateDashboard(getLiveStats());
+        });
+        WebSocketManager.on('ledger', data => {
+            MetricsEngine.processLedger(data);
+            updateDashboard(getLiveStats());
+        });
+        WebSocketManager.on('ledgerClosed', data => {
+            MetricsEngine.processLedgerClosed(data);
+            updateDashboard(getLiveStats());
+        });
 
-            // Update dashboard with real data
-            const stats = MetricsEngine.getAllStats();
-            updateDashboard(stats);
+        // Show transactions as they validate; their ledger is counted once it closes
+        WebSocketManager.on('transaction', data => {
+            if (usingMockData) return;
+            const time = data.close_time_iso ? Date.parse(data.close_time_iso) : Date.now();
+            updateLiveFeed([{ ...MetricsEngine.normalizeTransaction(data), time }]);
         });
 
         WebSocketManager.connect();
 
         // Fetch VHS data
         fetchVHS();
+        loadValidatorHistory();
 
         // Fallback to mock data after 10 seconds if no WS connection
         setTimeout(() => {
@@ -548,13 +1198,21 @@ const App = (() => {
                 const stats = getMockStats();
                 updateDashboard(stats);
             } else if (MetricsEngine.hasData()) {
-                const stats = MetricsEngine.getAllStats();
+                const stats = getLiveStats();
                 updateDashboard(stats);
             }
         }, UPDATE_INTERVAL);
 
         // Re-fetch VHS/explorer data every 2 minutes
         setInterval(fetchVHS, 120000);
+        // The collector appends a snapshot every 30 minutes
+        setInterval(loadValidatorHistory, 600000);
+        // Live agreement ticks with the clock; the leaderboard's live column more slowly
+        setInterval(updateLiveAgreement, 1000);
+        setInterval(() => {
+            if (validatorsData.length > 0) updateLeaderboard(validatorsData);
+            updateComparison();
+        }, 30000);
     }
 
     // Boot
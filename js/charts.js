@@ -6,9 +6,13 @@
 const DashboardCharts = (() => {
     let dawChart = null;
     let txVolChart = null;
-    let retentionChart = null;
     let txTypeChart = null;
-    let _retentionData = { day3: '--', day3numeric: 0, day7: '--', day7numeric: 0, day30: '--', day30numeric: 0 };
+    let uptimeChart = null;
+    let failuresChart = null;
+    let memoChart = null;
+    let activeWalletsChart = null;
+    let _uptimeRuns = [];
+    let _uptimeThreshold = 0;
 
     // Cyberpunk color palette
     const COLORS = {
@@ -84,8 +88,11 @@ const DashboardCharts = (() => {
     function init() {
         createDAWChart([]);
         createTxVolChart([]);
-        createRetentionChart({ day3: '--', day3numeric: 0, day7: '--', day7numeric: 0, day30: '--', day30numeric: 0 });
         createTxTypeChart({});
+        createUptimeChart();
+        createFailuresChart([]);
+        createMemoChart();
+        createActiveWalletsChart();
     }
 
     // Plugin to show "Waiting on data..." when chart has no data
@@ -93,7 +100,11 @@ const DashboardCharts = (() => {
         id: 'noDataMessage',
         afterDraw(chart) {
             const datasets = chart.data.datasets;
-            const hasData = datasets.some(ds => ds.data && ds.data.some(v => v > 0));
+            const hasData = datasets.some(ds => ds.data && ds.data.some(v => {
+                // Time-series charts use { x, y } points
+                const n = v !== null && typeof v === 'object' ? v.y : v;
+                return n > 0;
+            }));
             if (!hasData) {
                 const { ctx, width, height } = chart;
                 ctx.save();
@@ -191,58 +202,6 @@ const DashboardCharts = (() => {
         });
     }
 
-    function createRetentionChart(retention) {
-        const ctx = document.getElementById('chart-retention');
-        if (!ctx) return;
-
-        _retentionData = retention || { day3: '--', day3numeric: 0, day7: '--', day7numeric: 0, day30: '--', day30numeric: 0 };
-        const barColors = [COLORS.cyan, COLORS.purple, COLORS.green];
-
-        retentionChart = new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: ['3D Retention', '7D Retention', '30D Retention'],
-                datasets: [{
-                    label: 'Retention %',
-                    data: [_retentionData.day3numeric || 0, _retentionData.day7numeric || 0, _retentionData.day30numeric || 0],
-                    backgroundColor: [COLORS.cyanAlpha, COLORS.purpleAlpha, COLORS.greenAlpha],
-                    borderColor: barColors,
-                    borderWidth: 1,
-                    borderRadius: 4,
-                    borderSkipped: false
-                }]
-            },
-            plugins: [ChartDataLabels],
-            options: {
-                ...baseOptions(false),
-                indexAxis: 'y',
-                plugins: {
-                    ...baseOptions(false).plugins,
-                    legend: { display: false },
-                    datalabels: {
-                        display: true,
-                        anchor: 'end',
-                        align: 'right',
-                        color: function(context) {
-                            return barColors[context.dataIndex] || COLORS.cyan;
-                        },
-                        font: {
-                            family: 'JetBrains Mono',
-                            size: 11,
-                            weight: '600'
-                        },
-                        formatter: function(value, context) {
-                            const labels = [_retentionData.day3, _retentionData.day7, _retentionData.day30];
-                            const label = labels[context.dataIndex] || '--';
-                            if (label === '--') return 'Waiting on data\u2026';
-                            return label;
-                        }
-                    }
-                }
-            }
-        });
-    }
-
     function createTxTypeChart(distribution) {
         const ctx = document.getElementById('chart-txtype');
         if (!ctx) return;
@@ -320,6 +279,265 @@ const DashboardCharts = (() => {
         });
     }
 
+    function createFailuresChart(data) {
+        const ctx = document.getElementById('chart-failures');
+        if (!ctx) return;
+
+        failuresChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: data.map(d => formatDateLabel(d.date)),
+                datasets: [{
+                    label: 'Failed',
+                    data: data.map(d => d.count),
+                    backgroundColor: COLORS.pinkAlpha,
+                    borderColor: COLORS.pink,
+                    borderWidth: 1,
+                    borderRadius: 4,
+                    borderSkipped: false
+                }]
+            },
+            plugins: [noDataPlugin],
+            options: {
+                ...baseOptions(false),
+                plugins: {
+                    ...baseOptions(false).plugins,
+                    datalabels: { display: false }
+                }
+            }
+        });
+    }
+
+    function createMemoChart() {
+        const ctx = document.getElementById('chart-memos');
+        if (!ctx) return;
+
+        const options = baseOptions(false);
+        memoChart = new Chart(ctx, {
+            type: 'bar',
+            data: { labels: [], datasets: [] },
+            plugins: [noDataPlugin],
+            options: {
+                ...options,
+                scales: {
+                    x: { ...options.scales.x, stacked: true },
+                    y: { ...options.scales.y, stacked: true }
+                },
+                plugins: {
+                    ...options.plugins,
+                    legend: {
+                        display: true,
+                        position: 'right',
+                        labels: {
+                            color: COLORS.tickColor,
+                            font: { family: 'JetBrains Mono', size: 10 },
+                            padding: 10,
+                            usePointStyle: true,
+                            pointStyleWidth: 8
+                        }
+                    },
+                    datalabels: { display: false }
+                }
+            }
+        });
+    }
+
+    function updateMemoChart(history) {
+        if (!memoChart || !history) return;
+        const categories = [...new Set(history.flatMap(d => Object.keys(d.categories)))].sort();
+
+        memoChart.data.labels = history.map(d => formatDateLabel(d.date));
+        memoChart.data.datasets = categories.map((category, i) => {
+            const color = TYPE_COLORS[i % TYPE_COLORS.length];
+            return {
+                label: category,
+                data: history.map(d => d.categories[category] || 0),
+                backgroundColor: color + '55',
+                borderColor: color,
+                borderWidth: 1,
+                borderRadius: 2
+            };
+        });
+        memoChart.update('none');
+    }
+
+    function createActiveWalletsChart() {
+        const ctx = document.getElementById('chart-active-wallets');
+        if (!ctx) return;
+
+        const options = baseOptions(false);
+        const line = (label, color, extra) => ({
+            label,
+            data: [],
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 2,
+            fill: false,
+            tension: 0.3,
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            ...extra
+        });
+
+        activeWalletsChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    line('DAU', COLORS.cyan),
+                    line('WAU', COLORS.purple),
+                    line('MAU', COLORS.green),
+                    line('Stickiness', COLORS.yellow, { borderDash: [4, 4], borderWidth: 1, yAxisID: 'y2' })
+                ]
+            },
+            plugins: [noDataPlugin],
+            options: {
+                ...options,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    x: { ...options.scales.x, ticks: { ...options.scales.x.ticks, maxTicksLimit: 10 } },
+                    y: options.scales.y,
+                    y2: {
+                        position: 'right',
+                        beginAtZero: true,
+                        max: 100,
+                        grid: { display: false },
+                        ticks: {
+                            color: COLORS.tickColor,
+                            font: { family: 'JetBrains Mono', size: 9 },
+                            callback: value => value + '%'
+                        },
+                        border: { display: false }
+                    }
+                },
+                plugins: {
+                    ...options.plugins,
+                    legend: {
+                        display: true,
+                        labels: {
+                            color: COLORS.tickColor,
+                            font: { family: 'JetBrains Mono', size: 10 },
+                            usePointStyle: true,
+                            pointStyleWidth: 8
+                        }
+                    },
+                    tooltip: {
+                        ...options.plugins.tooltip,
+                        callbacks: {
+                            label: function(context) {
+                                if (context.dataset.yAxisID === 'y2') {
+                                    return `Stickiness: ${context.parsed.y.toFixed(1)}%`;
+                                }
+                                return `${context.dataset.label}: ${context.parsed.y.toLocaleString()}`;
+                            }
+                        }
+                    },
+                    datalabels: { display: false }
+                }
+            }
+        });
+    }
+
+    function updateActiveWalletsChart(data) {
+        if (!activeWalletsChart || !data) return;
+        activeWalletsChart.data.labels = data.map(d => formatDateLabel(d.date));
+        activeWalletsChart.data.datasets[0].data = data.map(d => d.day1);
+        activeWalletsChart.data.datasets[1].data = data.map(d => d.day7);
+        activeWalletsChart.data.datasets[2].data = data.map(d => d.day30);
+        activeWalletsChart.data.datasets[3].data = data.map(d => d.stickiness);
+        activeWalletsChart.update('none');
+    }
+
+    function isBelowThreshold(context) {
+        const point = context.raw;
+        return point && point.y !== null && point.y < _uptimeThreshold * 100;
+    }
+
+    function createUptimeChart() {
+        const ctx = document.getElementById('chart-uptime');
+        if (!ctx) return;
+
+        const options = baseOptions(true);
+        uptimeChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'Agreement (24H)',
+                    data: [],
+                    borderColor: COLORS.green,
+                    backgroundColor: COLORS.greenAlpha,
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.2,
+                    // Only runs under the threshold get a visible marker
+                    pointRadius: context => isBelowThreshold(context) ? 4 : 0,
+                    pointHoverRadius: 5,
+                    pointBackgroundColor: context => isBelowThreshold(context) ? COLORS.pink : COLORS.green,
+                    pointBorderColor: context => isBelowThreshold(context) ? COLORS.pink : COLORS.green
+                }, {
+                    label: 'Threshold',
+                    data: [],
+                    borderColor: COLORS.pink,
+                    borderDash: [4, 4],
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    pointHoverRadius: 0,
+                    fill: false
+                }]
+            },
+            plugins: [noDataPlugin],
+            options: {
+                ...options,
+                scales: {
+                    x: {
+                        ...options.scales.x,
+                        time: { unit: 'day', tooltipFormat: 'MMM d HH:mm' }
+                    },
+                    y: {
+                        ...options.scales.y,
+                        beginAtZero: false,
+                        suggestedMax: 100,
+                        ticks: {
+                            ...options.scales.y.ticks,
+                            callback: value => value + '%'
+                        }
+                    }
+                },
+                plugins: {
+                    ...options.plugins,
+                    tooltip: {
+                        ...options.plugins.tooltip,
+                        filter: item => item.datasetIndex === 0,
+                        callbacks: {
+                            label: function(context) {
+                                const run = _uptimeRuns[context.dataIndex];
+                                const lines = [`Agreement: ${context.parsed.y.toFixed(2)}%`];
+                                if (run && run.total) lines.push(`Missed: ${run.missed} / ${run.total}`);
+                                if (run && run.serverVersion) lines.push(`Version: ${run.serverVersion}`);
+                                return lines;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    function updateUptimeHistory(runs, threshold) {
+        if (!uptimeChart || !runs) return;
+        _uptimeRuns = runs.filter(r => r.agreement24h !== null && r.agreement24h !== undefined);
+        _uptimeThreshold = threshold;
+
+        const points = _uptimeRuns.map(r => ({ x: Date.parse(r.time), y: r.agreement24h * 100 }));
+        uptimeChart.data.datasets[0].data = points;
+        uptimeChart.data.datasets[1].data = points.length > 0
+            ? [{ x: points[0].x, y: threshold * 100 }, { x: points[points.length - 1].x, y: threshold * 100 }]
+            : [];
+        uptimeChart.update('none');
+
+        return _uptimeRuns.filter(r => r.agreement24h < threshold).length;
+    }
+
     function createGradient(ctx, color, alphaColor) {
         // For line chart fill gradient
         const canvas = ctx.getContext ? ctx : ctx.canvas || ctx;
@@ -338,8 +556,17 @@ const DashboardCharts = (() => {
     function update(stats) {
         updateDAWChart(stats.dawByDay || []);
         updateTxVolChart(stats.txVolHistory);
-        updateRetentionChart(stats.retention);
         updateTxTypeChart(stats.txTypeDistribution);
+        updateFailuresChart(stats.failureHistory);
+        updateMemoChart(stats.memoHistory);
+        updateActiveWalletsChart(stats.dawHistoryMulti);
+    }
+
+    function updateFailuresChart(data) {
+        if (!failuresChart || !data) return;
+        failuresChart.data.labels = data.map(d => formatDateLabel(d.date));
+        failuresChart.data.datasets[0].data = data.map(d => d.count);
+        failuresChart.update('none');
     }
 
     function updateDAWChart(data) {
@@ -356,25 +583,22 @@ const DashboardCharts = (() => {
         txVolChart.update('none');
     }
 
-    function updateRetentionChart(retention) {
-        if (!retentionChart || !retention) return;
-        _retentionData = retention;
-        retentionChart.data.datasets[0].data = [retention.day3numeric || 0, retention.day7numeric || 0, retention.day30numeric || 0];
-        retentionChart.update('none');
-    }
-
     function updateTxTypeChart(distribution) {
         if (!txTypeChart || !distribution) return;
         const labels = Object.keys(distribution);
         const values = Object.values(distribution);
-        if (labels.length === 0) return;
 
-        txTypeChart.data.labels = labels;
-        txTypeChart.data.datasets[0].data = values;
-        txTypeChart.data.datasets[0].backgroundColor = labels.map((_, i) => TYPE_COLORS[i % TYPE_COLORS.length]);
-        txTypeChart.data.datasets[0].borderColor = labels.map((_, i) => TYPE_COLORS[i % TYPE_COLORS.length]);
+        // A past day with no breakdown falls back to the placeholder ring
+        txTypeChart.data.labels = labels.length > 0 ? labels : ['No Data'];
+        txTypeChart.data.datasets[0].data = values.length > 0 ? values : [1];
+        txTypeChart.data.datasets[0].backgroundColor = labels.length > 0
+            ? labels.map((_, i) => TYPE_COLORS[i % TYPE_COLORS.length])
+            : ['rgba(0, 240, 255, 0.1)'];
+        txTypeChart.data.datasets[0].borderColor = labels.length > 0
+            ? labels.map((_, i) => TYPE_COLORS[i % TYPE_COLORS.length])
+            : ['rgba(0, 240, 255, 0.3)'];
         txTypeChart.update('none');
     }
 
-    return { init, update };
+    return { init, update, updateUptimeHistory };
 })();
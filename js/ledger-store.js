@@ -0,0 +1,175 @@
+/* ============================================
+   Ledger Store
+   IndexedDB cache of processed ledgers, keyed by
+   seq and indexed by close time and account
+   ============================================ */
+
+const LedgerStore = (() => {
+    const DB_NAME = 'pftperry';
+    const DB_VERSION = 1;
+    const STORE = 'ledgers';
+    const FLUSH_DELAY = 1000;   // Batch incoming ledgers into one write transaction
+
+    let db = null;
+    let pending = [];
+    let flushTimer = null;
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function txDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    async function open() {
+        if (db) return true;
+        if (typeof indexedDB === 'undefined') {
+            console.warn('[LedgerStore] IndexedDB unavailable; ledgers will not persist');
+            return false;
+        }
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'seq' });
+                store.createIndex('close_time', 'close_time');
+                store.createIndex('account', 'accounts', { multiEntry: true });
+            };
+            db = await promisify(request);
+            return true;
+        } catch (e) {
+            console.error('[LedgerStore] Open failed:', e);
+            return false;
+        }
+    }
+
+    // Every address touched by the ledger, for the account index
+    function withAccounts(ledger) {
+        const accounts = new Set();
+        ledger.transactions.forEach(tx => {
+            if (tx.account) accounts.add(tx.account);
+            if (tx.destination) accounts.add(tx.destination);
+        });
+        return { ...ledger, accounts: [...accounts] };
+    }
+
+    function put(ledger) {
+        if (!db) return;
+        pending.push(withAccounts(ledger));
+        if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY);
+    }
+
+    async function flush() {
+        if (flushTimer) clearTimeout(flushTimer);
+        flushTimer = null;
+        if (!db || pending.length === 0) return;
+
+        const batch = pending;
+        pending = [];
+        try {
+            const tx = db.transaction(STORE, 'readwrite');
+            const store = tx.objectStore(STORE);
+            batch.forEach(l => store.put(l));
+            await txDone(tx);
+        } catch (e) {
+            if (e && e.name === 'QuotaExceededError') {
+                console.error(`[LedgerStore] Storage quota exceeded; dropped ${batch.length} ledgers from the cache`);
+            } else {
+                console.error('[LedgerStore] Write failed:', e);
+            }
+        }
+    }
+
+    // Call onLedger for every ledger that closed at or after sinceMs, oldest
+    // first, one at a time so the whole range is never held in memory
+    async function forEachSince(sinceMs, onLedger) {
+        if (!db) return 0;
+        let count = 0;
+        const tx = db.transaction(STORE, 'readonly');
+        const index = tx.objectStore(STORE).index('close_time');
+        const request = index.openCursor(IDBKeyRange.lowerBound(sinceMs));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            const { accounts, ...ledger } = cursor.value;
+            onLedger(ledger);
+            count++;
+            cursor.continue();
+        };
+        await txDone(tx);
+        return count;
+    }
+
+    // Delete every ledger that closed before cutoffMs
+    async function expire(cutoffMs) {
+        if (!db) return 0;
+        let removed = 0;
+        try {
+            const tx = db.transaction(STORE, 'readwrite');
+            const index = tx.objectStore(STORE).index('close_time');
+            const request = index.openCursor(IDBKeyRange.upperBound(cutoffMs, true));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                cursor.delete();
+                removed++;
+                cursor.continue();
+            };
+            await txDone(tx);
+        } catch (e) {
+            console.error('[LedgerStore] Expiry failed:', e);
+        }
+        return removed;
+    }
+
+    /**
+     * One-time import of the old localStorage ledger cache. The key is
+     * removed afterwards, or right away if it can't be parsed, so this is a
+     * no-op on later loads. A failed write keeps it for the next load.
+     */
+    async function migrateFromLocalStorage(key) {
+        if (!db) return 0;
+        let cached = null;
+        try {
+            cached = localStorage.getItem(key);
+        } catch (e) {
+            return 0;
+        }
+        if (!cached) return 0;
+
+        let legacy;
+        try {
+            const data = JSON.parse(cached);
+            legacy = (data && Array.isArray(data.ledgers) ? data.ledgers : [])
+                .filter(l => l && l.seq && Array.isArray(l.transactions));
+        } catch (e) {
+            console.warn('[LedgerStore] Discarding unreadable localStorage cache:', e);
+            localStorage.removeItem(key);
+            return 0;
+        }
+
+        let count = 0;
+        try {
+            const tx = db.transaction(STORE, 'readwrite');
+            const store = tx.objectStore(STORE);
+            legacy.forEach(l => store.put(withAccounts(l)));
+            await txDone(tx);
+            count = legacy.length;
+            console.log(`[LedgerStore] Migrated ${count} ledgers from localStorage`);
+        } catch (e) {
+            console.error('[LedgerStore] Migration failed:', e);
+            return 0;
+        }
+        localStorage.removeItem(key);
+        return count;
+    }
+
+    return { open, put, flush, forEachSince, expire, migrateFromLocalStorage };
+})();
@@ -0,0 +1,102 @@
+/* ============================================
+   Memo Decoder
+   Decodes hex MemoType/MemoData/MemoFormat and
+   groups memos into protocol categories.
+   Shared by the dashboard and the stats collector.
+   ============================================ */
+
+const MemoDecoder = (() => {
+    const UNCATEGORIZED = 'other';
+
+    // Checked in order; the first match wins. Each entry is
+    // { category, test } where test is a RegExp (matched against the decoded
+    // MemoType and MemoData) or a function(memo) returning a boolean.
+    const classifiers = [];
+
+    function hexToText(hex) {
+        if (!hex || typeof hex !== 'string' || hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+            return null;
+        }
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (e) {
+            return null; // Binary payload, not text
+        }
+    }
+
+    /**
+     * Decode a transaction's Memos array into
+     * [{ type, data, format, binary }]. Fields that are not valid UTF-8 are
+     * left as hex; binary: true marks a MemoData that is not text.
+     */
+    function decodeMemos(memos) {
+        if (!Array.isArray(memos)) return [];
+        return memos.map(entry => {
+            const memo = entry.Memo || entry;
+            const fields = {};
+            let binary = false;
+            for (const [key, field] of [['type', 'MemoType'], ['data', 'MemoData'], ['format', 'MemoFormat']]) {
+                const raw = memo[field] || '';
+                const text = hexToText(raw);
+                if (key === 'data' && text === null && raw) binary = true;
+                fields[key] = text !== null ? text : raw;
+            }
+            return { ...fields, binary };
+        });
+    }
+
+    function matches(test, memo) {
+        if (typeof test === 'function') return !!test(memo);
+        return test.test(memo.type) || test.test(memo.data);
+    }
+
+    function classify(memo) {
+        for (const { category, test } of classifiers) {
+            if (matches(test, memo)) return category;
+        }
+        return UNCATEGORIZED;
+    }
+
+    // Category for a whole transaction: the first memo that classifies
+    function categorize(decoded) {
+        if (!decoded || decoded.length === 0) return null;
+        for (const memo of decoded) {
+            const category = classify(memo);
+            if (category !== UNCATEGORIZED) return category;
+        }
+        return UNCATEGORIZED;
+    }
+
+    /**
+     * Add a classifier ahead of the built-in ones, so deployments can
+     * refine or override the default grouping.
+     */
+    function register(category, test) {
+        classifiers.unshift({ category, test });
+    }
+
+    // Built-in Post Fiat task protocol prefixes
+    [
+        ['task-request', /^REQUEST_POST_FIAT/],
+        ['task-proposal', /^PROPOSED PF/],
+        ['task-acceptance', /^ACCEPTANCE REASON/],
+        ['task-refusal', /^REFUSAL REASON/],
+        ['task-completion', /^COMPLETION JUSTIFICATION/],
+        ['verification', /^VERIFICATION (PROMPT|RESPONSE)/],
+        ['reward', /^REWARD RESPONSE/],
+        ['initiation', /^INITIATION_(RITE|REWARD)/],
+        ['handshake', /^HANDSHAKE/],
+        ['context-doc', /^google_doc_context_link/]
+    ].forEach(([category, test]) => classifiers.push({ category, test }));
+
+    return { hexToText, decodeMemos, classify, categorize, register, UNCATEGORIZED };
+})();
+
+// Node (scripts/collect-daily-stats.js) loads this file with require()
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoDecoder;
+}
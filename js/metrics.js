@@ -1,38 +1,75 @@
 /* ============================================
    Metrics Engine
    Computes all dashboard stats from ledger data
-   Manages localStorage cache
+   Caches ledgers in IndexedDB (LedgerStore) and
+   daily rollups in localStorage
    ============================================ */
 
 const MetricsEngine = (() => {
-    const CACHE_KEY = 'pftperry_metrics_cache';
+    const LEGACY_CACHE_KEY = 'pftperry_metrics_cache';  // Pre-IndexedDB ledger cache
     const DAILY_STATS_KEY = 'pftperry_daily_stats';
-    const MAX_LEDGERS = 5000;
     const MAX_DAILY_DAYS = 90;
     const DAY_MS = 86400000;
+    const HOUR_MS = 3600000;
+    const LEDGER_MAX_AGE_MS = 30 * DAY_MS;  // Ledgers older than this expire from IndexedDB and the live aggregates
+    const MAX_MEMORY_LEDGERS = 5000;        // Newest ledgers kept in memory with their transactions
+    const EXPIRE_INTERVAL_MS = HOUR_MS;
+    const SAVE_EVERY = 10;                  // Ledgers between daily rollup saves
+    const MEMO_PREVIEW_LENGTH = 280;  // Long (chunked) memo payloads are clipped in the cache
 
     // In-memory data store
-    let ledgers = [];           // Array of { seq, close_time, txn_count, transactions: [...] }
+    let ledgers = [];           // Newest ledgers, sorted by seq: { seq, close_time, txn_count, transactions: [...] }
     let serverInfo = null;
     let explorerMetrics = null; // From explorer API (txn_sec, ledger_interval, etc.)
     let recentTxnTimes = [];    // For TPS calculation (last 10 ledger intervals)
     let lastLedgerTime = null;
-    let dailyStats = {};        // { "2026-02-21": { txCount: N, activeWallets: N, walletAddresses: [...] } }
+    let dailyStats = {};        // { "2026-02-21": { txCount: N, activeWallets: N, walletAddresses: [...], txTypes: {...}, hourly: [24] } }
     let firstSeen = {};         // { "rWallet1": "2026-02-21", ... }
-
-    function init() {
-        loadCache();
+    let ledgersSinceSave = 0;
+    let lastExpiry = 0;
+
+    // Aggregates over every cached ledger, not just the ones in `ledgers`.
+    // They are updated as ledgers arrive and expired a day at a time, so
+    // older transactions stay in IndexedDB and stats reads never rescan them.
+    let liveDays = {};           // { "2026-02-21": see emptyDayAggregate() }
+    let liveHours = new Map();   // Hour start (ms) -> { txCount, feeTotal, wallets }
+    let accountDays = new Map(); // Address -> last day number it sent or received a transaction
+    let unsavedDays = new Set(); // Live days changed since the last rollup save
+
+    // Wallet activity from stored rollups and live ledgers combined, with
+    // rolling unique counts and cohort cells kept current as it grows
+    let dayWallets = {};         // { "2026-02-21": Set of wallets }
+    let walletDays = new Map();  // Wallet -> sorted day numbers (days since the Unix epoch)
+    let rolling7 = new Map();    // Day number -> unique wallets in the 7 days ending that day
+    let rolling30 = new Map();   // Day number -> unique wallets in the 30 days ending that day
+    let cohortIndex = { day: {}, week: {} }; // Cohort start date -> { size, returned: [period] }
+
+    let version = 0;             // Bumped on every aggregate change
+    let recentCache = null;      // { stamp, value } for getRecentWindow()
+
+    async function init() {
+        await loadCache();
         loadDailyStats();
     }
 
-    function loadCache() {
+    async function loadCache() {
         try {
-            const cached = localStorage.getItem(CACHE_KEY);
-            if (cached) {
-                const data = JSON.parse(cached);
-                ledgers = data.ledgers || [];
-                console.log(`[Metrics] Loaded ${ledgers.length} cached ledgers`);
-            }
+            if (!await LedgerStore.open()) return;
+            await LedgerStore.migrateFromLocalStorage(LEGACY_CACHE_KEY);
+            const cutoff = Date.now() - LEDGER_MAX_AGE_MS;
+            await LedgerStore.expire(cutoff);
+            lastExpiry = Date.now();
+
+            const newest = [];
+            const count = await LedgerStore.forEachSince(cutoff, l => {
+                // Ledgers processed while the store was loading are already counted
+                if (hasLedger(l.seq)) return;
+                applyLedger(l);
+                newest.push(l);
+                if (newest.length >= 2 * MAX_MEMORY_LEDGERS) newest.splice(0, MAX_MEMORY_LEDGERS);
+            });
+            ledgers = ledgers.concat(newest).sort((a, b) => a.seq - b.seq).slice(-MAX_MEMORY_LEDGERS);
+            console.log(`[Metrics] Loaded ${count} cached ledgers`);
         } catch (e) {
             console.warn('[Metrics] Cache load failed:', e);
         }
@@ -49,16 +86,19 @@ const MetricsEngine = (() => {
         } catch (e) {
             console.warn('[Metrics] Daily stats load failed:', e);
         }
+        rebuildActivity();
     }
 
     function saveDailyStats() {
         try {
-            // Compute today's stats from current ledgers and merge into dailyStats
-            const liveDays = computeLiveDailyRollups();
-            for (const [date, data] of Object.entries(liveDays)) {
+            // Compute stats for days with new ledgers and merge into dailyStats
+            const liveRollups = computeLiveDailyRollups();
+            unsavedDays.clear();
+            for (const [date, data] of Object.entries(liveRollups)) {
                 const existing = dailyStats[date];
                 if (!existing || data.txCount > existing.txCount) {
                     dailyStats[date] = data;
+                    version++;
                 }
             }
 
@@ -67,48 +107,298 @@ const MetricsEngine = (() => {
             if (sortedDates.length > MAX_DAILY_DAYS) {
                 const toRemove = sortedDates.slice(0, sortedDates.length - MAX_DAILY_DAYS);
                 toRemove.forEach(d => delete dailyStats[d]);
+                rebuildActivity();
             }
 
             localStorage.setItem(DAILY_STATS_KEY, JSON.stringify(dailyStats));
         } catch (e) {
-            console.warn('[Metrics] Daily stats save failed:', e);
+            if (e && e.name === 'QuotaExceededError') {
+                console.error('[Metrics] Daily stats exceed the localStorage quota; not saved');
+            } else {
+                console.warn('[Metrics] Daily stats save failed:', e);
+            }
         }
     }
 
     function computeLiveDailyRollups() {
-        const dayBuckets = {};
-        const dayWallets = {};
-        ledgers.forEach(l => {
-            const day = new Date(l.close_time).toISOString().slice(0, 10);
-            dayBuckets[day] = (dayBuckets[day] || 0) + l.txn_count;
-            if (!dayWallets[day]) dayWallets[day] = new Set();
-            l.transactions.forEach(tx => {
-                if (tx.account) dayWallets[day].add(tx.account);
-            });
-        });
-
         const result = {};
-        for (const date of Object.keys(dayBuckets)) {
+        for (const date of unsavedDays) {
+            const day = liveDays[date];
+            if (!day) continue;
+            const breakdown = getLiveDayBreakdown(date);
             result[date] = {
-                txCount: dayBuckets[date],
-                activeWallets: dayWallets[date] ? dayWallets[date].size : 0,
-                walletAddresses: dayWallets[date] ? [...dayWallets[date]] : []
+                txCount: day.txCount,
+                activeWallets: day.wallets.size,
+                walletAddresses: [...day.wallets],
+                txTypes: breakdown.txTypes,
+                hourly: breakdown.hourly,
+                failedCount: breakdown.failedCount,
+                failures: breakdown.failures,
+                memoCategories: breakdown.memoCategories
             };
         }
         return result;
     }
 
-    function saveCache() {
-        try {
-            // Keep only last MAX_LEDGERS
-            const toSave = ledgers.slice(-MAX_LEDGERS);
-            localStorage.setItem(CACHE_KEY, JSON.stringify({ ledgers: toSave, savedAt: Date.now() }));
-        } catch (e) {
-            console.warn('[Metrics] Cache save failed:', e);
+    // ---- Aggregates ----
+
+    function dayKey(ms) {
+        return new Date(ms).toISOString().slice(0, 10);
+    }
+
+    function dayNumber(date) {
+        return Math.floor(Date.parse(date + 'T00:00:00Z') / DAY_MS);
+    }
+
+    function todayNumber() {
+        return Math.floor(Date.now() / DAY_MS);
+    }
+
+    // The last `count` UTC dates, oldest first, ending today
+    function lastDays(count) {
+        const end = todayNumber();
+        const dates = [];
+        for (let n = end - count + 1; n <= end; n++) {
+            dates.push(dayKey(n * DAY_MS));
+        }
+        return dates;
+    }
+
+    function bump(counts, key) {
+        counts[key] = (counts[key] || 0) + 1;
+    }
+
+    // `seqs` holds the day's ledgers so processLedger() can skip repeats
+    function emptyDayAggregate() {
+        return {
+            seqs: new Set(),
+            txCount: 0,
+            hourly: new Array(24).fill(0),
+            txTypes: {},
+            failedCount: 0,
+            failures: {},
+            memoCategories: {},
+            wallets: new Set()
+        };
+    }
+
+    function hasLedger(seq) {
+        return Object.values(liveDays).some(day => day.seqs.has(seq));
+    }
+
+    function touchAccount(address, dayNum) {
+        if (!(accountDays.get(address) >= dayNum)) accountDays.set(address, dayNum);
+    }
+
+    // Add one ledger's contribution to the live aggregates
+    function applyLedger(l) {
+        const date = dayKey(l.close_time);
+        const dayNum = dayNumber(date);
+        const hourStart = l.close_time - l.close_time % HOUR_MS;
+        unsavedDays.add(date);
+        if (!liveDays[date]) liveDays[date] = emptyDayAggregate();
+        // Hour buckets only feed getRecentWindow(), so older ledgers skip them
+        if (hourStart >= Date.now() - DAY_MS - HOUR_MS && !liveHours.has(hourStart)) {
+            liveHours.set(hourStart, { txCount: 0, feeTotal: 0, wallets: new Set() });
+        }
+        const day = liveDays[date];
+        const hour = liveHours.get(hourStart);
+
+        day.seqs.add(l.seq);
+        day.txCount += l.txn_count;
+        day.hourly[new Date(l.close_time).getUTCHours()] += l.txn_count;
+        if (hour) hour.txCount += l.txn_count;
+
+        for (const tx of l.transactions) {
+            const type = tx.type || 'Unknown';
+            bump(day.txTypes, type);
+            if (isFailed(tx)) {
+                day.failedCount++;
+                if (!day.failures[type]) day.failures[type] = {};
+                bump(day.failures[type], tx.result);
+            }
+            if (tx.memoCategory) bump(day.memoCategories, tx.memoCategory);
+            if (hour) hour.feeTotal += tx.fee || 0;
+            if (tx.account) {
+                day.wallets.add(tx.account);
+                if (hour) hour.wallets.add(tx.account);
+                touchAccount(tx.account, dayNum);
+                recordWalletDay(date, dayNum, tx.account);
+            }
+            if (tx.destination) touchAccount(tx.destination, dayNum);
+        }
+        version++;
+    }
+
+    // Drop the live aggregates for days before the cutoff's day. That day is
+    // kept whole so its figures never shrink while it is still shown; it
+    // goes at the next expiry after midnight.
+    function expireDays(cutoff) {
+        const cutoffDate = dayKey(cutoff);
+        const cutoffDay = dayNumber(cutoffDate);
+        for (const date of Object.keys(liveDays)) {
+            if (date < cutoffDate) delete liveDays[date];
+        }
+        for (const [address, dayNum] of accountDays) {
+            if (dayNum < cutoffDay) accountDays.delete(address);
+        }
+        version++;
+    }
+
+    function recordWalletDay(date, dayNum, wallet) {
+        // Historical ledgers arrive newest first, so keep the earliest day
+        // rather than the first seen
+        const earlier = !firstSeen[wallet] || date < firstSeen[wallet];
+        const newDay = !dayWallets[date] || !dayWallets[date].has(wallet);
+        if (!earlier && !newDay) return;
+
+        updateCohorts(wallet, -1);
+        if (earlier) firstSeen[wallet] = date;
+        recordActivity(date, dayNum, wallet);
+        updateCohorts(wallet, 1);
+    }
+
+    // Activity outlives the ledgers it came from, as it would in a stored rollup
+    function recordActivity(date, dayNum, wallet) {
+        if (!dayWallets[date]) dayWallets[date] = new Set();
+        if (dayWallets[date].has(wallet)) return;
+        dayWallets[date].add(wallet);
+
+        let active = walletDays.get(wallet);
+        if (!active) {
+            active = [];
+            walletDays.set(wallet, active);
+        }
+        // Usually the newest day, so walk back from the end
+        let i = active.length;
+        while (i > 0 && active[i - 1] > dayNum) i--;
+        const prev = i > 0 ? active[i - 1] : -Infinity;
+        const next = i < active.length ? active[i] : Infinity;
+        active.splice(i, 0, dayNum);
+
+        addCoverage(rolling7, 7, dayNum, prev, next);
+        addCoverage(rolling30, 30, dayNum, prev, next);
+    }
+
+    // Activity on dayNum puts the wallet in the windows ending dayNum ..
+    // dayNum + windowDays - 1, except those already covered by its previous
+    // or next active day
+    function addCoverage(counts, windowDays, dayNum, prev, next) {
+        const from = Math.max(dayNum, prev + windowDays);
+        const to = Math.min(dayNum + windowDays - 1, next - 1);
+        for (let n = from; n <= to; n++) {
+            counts.set(n, (counts.get(n) || 0) + 1);
+        }
+    }
+
+    // Add (sign 1) or remove (sign -1) a wallet from its daily and weekly
+    // cohorts, counting it once in each period after the cohort it was active
+    function updateCohorts(wallet, sign) {
+        const first = firstSeen[wallet];
+        if (!first) return;
+        const active = walletDays.get(wallet) || [];
+        for (const weekly of [false, true]) {
+            const periodDays = weekly ? 7 : 1;
+            const periods = weekly ? 12 : 30;
+            const key = weekly ? weekStart(first) : first;
+            const index = cohortIndex[weekly ? 'week' : 'day'];
+            if (!index[key]) index[key] = { size: 0, returned: new Array(periods + 1).fill(0) };
+            const cohort = index[key];
+            const cohortDay = dayNumber(key);
+
+            cohort.size += sign;
+            let lastPeriod = 0;
+            for (const d of active) {
+                const n = Math.floor((d - cohortDay) / periodDays);
+                if (n > periods) break;
+                if (n >= 1 && n !== lastPeriod) {
+                    cohort.returned[n] += sign;
+                    lastPeriod = n;
+                }
+            }
+            if (cohort.size === 0) delete index[key];
         }
+    }
+
+    // Re-index wallet activity after stored rollups are loaded, merged or trimmed
+    function rebuildActivity() {
+        dayWallets = {};
+        walletDays = new Map();
+        rolling7 = new Map();
+        rolling30 = new Map();
+        for (const [date, data] of Object.entries(dailyStats)) {
+            const dayNum = dayNumber(date);
+            (data.walletAddresses || []).forEach(w => recordActivity(date, dayNum, w));
+        }
+        for (const [date, day] of Object.entries(liveDays)) {
+            const dayNum = dayNumber(date);
+            for (const w of day.wallets) recordActivity(date, dayNum, w);
+        }
+
+        cohortIndex = { day: {}, week: {} };
+        Object.keys(firstSeen).forEach(w => updateCohorts(w, 1));
+        version++;
+    }
 
-        // Also persist daily rollups
+    function insertLedger(entry) {
+        // Live ledgers arrive in order, so this is almost always an append
+        let index = ledgers.length;
+        if (index > 0 && ledgers[index - 1].seq > entry.seq) {
+            let lo = 0;
+            let hi = index;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (ledgers[mid].seq < entry.seq) lo = mid + 1;
+                else hi = mid;
+            }
+            index = lo;
+        }
+        ledgers.splice(index, 0, entry);
+        if (ledgers.length > MAX_MEMORY_LEDGERS) ledgers.splice(0, ledgers.length - MAX_MEMORY_LEDGERS);
+        applyLedger(entry);
+    }
+
+    // Type counts, 24-slot UTC hour histogram, failures and memo categories
+    // for one day of live ledgers
+    function getLiveDayBreakdown(date) {
+        const day = liveDays[date] || emptyDayAggregate();
+        const failures = {};
+        for (const [type, codes] of Object.entries(day.failures)) {
+            failures[type] = { ...codes };
+        }
+        return {
+            txCount: day.txCount,
+            txTypes: { ...day.txTypes },
+            hourly: [...day.hourly],
+            failedCount: day.failedCount,
+            failures,
+            memoCategories: { ...day.memoCategories }
+        };
+    }
+
+    // Key-wise max of stored vs live counts, mirroring how txCount is merged
+    function mergeCountsMax(stored, live) {
+        const merged = Array.isArray(live) ? [...live] : { ...live };
+        if (!stored) return merged;
+        for (const key of Object.keys(stored)) {
+            merged[key] = Math.max(merged[key] || 0, stored[key] || 0);
+        }
+        return merged;
+    }
+
+    function saveCache() {
+        // Ledgers are written incrementally as they arrive; push out any queued ones
+        LedgerStore.flush();
+
+        // Also persist daily rollups, before any expired days are dropped
         saveDailyStats();
+
+        if (Date.now() - lastExpiry > EXPIRE_INTERVAL_MS) {
+            lastExpiry = Date.now();
+            const cutoff = Date.now() - LEDGER_MAX_AGE_MS;
+            LedgerStore.expire(cutoff);
+            expireDays(cutoff);
+        }
     }
 
     function processServerInfo(info) {
@@ -120,29 +410,18 @@ const MetricsEngine = (() => {
     }
 
     function processLedger(ledger) {
-        const seq = ledger.ledger_index || ledger.seqNum;
+        const seq = parseInt(ledger.ledger_index || ledger.seqNum, 10);
         if (!seq) return;
 
         // Avoid duplicates
-        if (ledgers.find(l => l.seq === seq)) return;
+        if (hasLedger(seq)) return;
 
         const closeTime = ledger.close_time
             ? (ledger.close_time + 946684800) * 1000  // Ripple epoch to JS epoch
             : Date.now();
 
         const txns = ledger.transactions || [];
-        const processed = txns.map(tx => {
-            if (typeof tx === 'string') return { hash: tx };
-            const inner = tx.tx || tx.tx_json || tx;
-            return {
-                type: inner.TransactionType || 'Unknown',
-                account: inner.Account || '',
-                destination: inner.Destination || '',
-                fee: parseInt(inner.Fee || '0', 10),
-                amount: inner.Amount,
-                hash: inner.hash || tx.hash || ''
-            };
-        });
+        const processed = txns.map(normalizeTransaction);
 
         // Calculate ledger interval
         if (lastLedgerTime) {
@@ -152,31 +431,64 @@ const MetricsEngine = (() => {
         }
         lastLedgerTime = closeTime;
 
-        ledgers.push({
-            seq: parseInt(seq, 10),
+        // Past the cache window, so it would only count until the next expiry
+        if (closeTime < Date.now() - LEDGER_MAX_AGE_MS) return;
+
+        const entry = {
+            seq,
             close_time: closeTime,
             txn_count: processed.length,
             transactions: processed
-        });
+        };
+        insertLedger(entry);
+        LedgerStore.put(entry);
 
-        // Update firstSeen for wallets seen this session
-        const ledgerDay = new Date(closeTime).toISOString().slice(0, 10);
-        for (const tx of processed) {
-            if (tx.account && !firstSeen[tx.account]) {
-                firstSeen[tx.account] = ledgerDay;
-            }
+        // Save periodically
+        if (++ledgersSinceSave >= SAVE_EVERY) {
+            ledgersSinceSave = 0;
+            saveCache();
         }
+    }
 
-        // Sort and trim
-        ledgers.sort((a, b) => a.seq - b.seq);
-        if (ledgers.length > MAX_LEDGERS) {
-            ledgers = ledgers.slice(-MAX_LEDGERS);
-        }
+    /**
+     * Compact form of a transaction as cached and shown in the feed. Accepts
+     * an expanded `ledger` entry, a `tx` response or a transactions stream
+     * message.
+     */
+    function normalizeTransaction(tx) {
+        if (typeof tx === 'string') return { hash: tx };
+        const inner = tx.tx || tx.tx_json || tx.transaction || tx;
+        return {
+            type: inner.TransactionType || 'Unknown',
+            account: inner.Account || '',
+            destination: inner.Destination || '',
+            fee: parseInt(inner.Fee || '0', 10),
+            amount: inner.Amount,
+            hash: inner.hash || tx.hash || '',
+            result: getTransactionResult(tx),
+            ...getMemoFields(inner)
+        };
+    }
 
-        // Save periodically (every 10 ledgers)
-        if (ledgers.length % 10 === 0) {
-            saveCache();
-        }
+    function getTransactionResult(tx) {
+        const meta = tx.metaData || tx.meta;
+        return meta && meta.TransactionResult ? meta.TransactionResult : '';
+    }
+
+    function getMemoFields(inner) {
+        const decoded = MemoDecoder.decodeMemos(inner.Memos);
+        if (decoded.length === 0) return {};
+        return {
+            memos: decoded.map(m => ({
+                ...m,
+                data: m.data.length > MEMO_PREVIEW_LENGTH ? m.data.slice(0, MEMO_PREVIEW_LENGTH) + '\u2026' : m.data
+            })),
+            memoCategory: MemoDecoder.categorize(decoded)
+        };
+    }
+
+    function isFailed(tx) {
+        return !!tx.result && tx.result !== 'tesSUCCESS';
     }
 
     function processLedgerClosed(data) {
@@ -188,24 +500,35 @@ const MetricsEngine = (() => {
 
     // ---- Computed Stats ----
 
-    function getAllTransactions(sinceMs) {
-        const cutoff = Date.now() - sinceMs;
-        const txns = [];
-        for (const l of ledgers) {
-            if (l.close_time >= cutoff) {
-                txns.push(...l.transactions);
+    /**
+     * Live totals for the last 24 hours, summed from hour buckets: the
+     * current partial hour plus the 24 full hours before it. Buckets that
+     * fall out of the window are dropped here.
+     */
+    function getRecentWindow() {
+        const cutoff = Date.now() - DAY_MS;
+        const firstHour = cutoff - cutoff % HOUR_MS;
+        const stamp = `${version}:${firstHour}`;
+        if (recentCache && recentCache.stamp === stamp) return recentCache.value;
+
+        const wallets = new Set();
+        let txCount = 0;
+        let feeTotal = 0;
+        for (const [start, hour] of liveHours) {
+            if (start < firstHour) {
+                liveHours.delete(start);
+                continue;
             }
+            txCount += hour.txCount;
+            feeTotal += hour.feeTotal;
+            for (const w of hour.wallets) wallets.add(w);
         }
-        return txns;
+        recentCache = { stamp, value: { txCount, feeTotal, wallets: wallets.size } };
+        return recentCache.value;
     }
 
     function getDailyActiveWallets() {
-        const txns = getAllTransactions(DAY_MS);
-        const accounts = new Set();
-        txns.forEach(tx => {
-            if (tx.account) accounts.add(tx.account);
-        });
-        return accounts.size;
+        return getRecentWindow().wallets;
     }
 
     function getTPS() {
@@ -220,19 +543,9 @@ const MetricsEngine = (() => {
         return totalTxns / totalTime;
     }
 
+    // Unique senders and destinations across the cached ledgers
     function getTotalAccounts() {
-        if (serverInfo && serverInfo.validated_ledger) {
-            // Rough estimate: not directly available from server_info
-            // We'll track unique accounts we've seen
-        }
-        const accounts = new Set();
-        ledgers.forEach(l => {
-            l.transactions.forEach(tx => {
-                if (tx.account) accounts.add(tx.account);
-                if (tx.destination) accounts.add(tx.destination);
-            });
-        });
-        return accounts.size;
+        return accountDays.size;
     }
 
     function getAvgFee() {
@@ -241,10 +554,9 @@ const MetricsEngine = (() => {
             const feeXrp = parseFloat(explorerMetrics.avg_fee);
             return feeXrp * 1000000; // Convert to drops for display
         }
-        const txns = getAllTransactions(DAY_MS);
-        if (txns.length === 0) return 0;
-        const totalFee = txns.reduce((s, tx) => s + (tx.fee || 0), 0);
-        return totalFee / txns.length;
+        const recent = getRecentWindow();
+        if (recent.txCount === 0) return 0;
+        return recent.feeTotal / recent.txCount;
     }
 
     function getLedgerInterval() {
@@ -268,26 +580,19 @@ const MetricsEngine = (() => {
     }
 
     function getAvgTxnPerUser() {
-        const txns = getAllTransactions(DAY_MS);
-        const accounts = new Set();
-        txns.forEach(tx => { if (tx.account) accounts.add(tx.account); });
-        if (accounts.size === 0) return 0;
-        return txns.length / accounts.size;
-    }
-
-    function getPeakHour() {
-        const txns = getAllTransactions(DAY_MS);
-        const hourCounts = new Array(24).fill(0);
-        txns.forEach(tx => {
-            // Use the ledger the tx was in
-        });
-        // Use ledger close times
-        ledgers.forEach(l => {
-            if (l.close_time >= Date.now() - DAY_MS) {
-                const hour = new Date(l.close_time).getUTCHours();
-                hourCounts[hour] += l.txn_count;
-            }
-        });
+        const recent = getRecentWindow();
+        if (recent.wallets === 0) return 0;
+        return recent.txCount / recent.wallets;
+    }
+
+    function getHourlyHistogram(date) {
+        const day = date || new Date().toISOString().slice(0, 10);
+        const stored = dailyStats[day] && dailyStats[day].hourly;
+        return mergeCountsMax(stored, getLiveDayBreakdown(day).hourly);
+    }
+
+    function getPeakHour(date) {
+        const hourCounts = getHourlyHistogram(date);
         let maxHour = 0;
         let maxCount = 0;
         hourCounts.forEach((c, h) => {
@@ -296,21 +601,83 @@ const MetricsEngine = (() => {
         return maxCount > 0 ? `${String(maxHour).padStart(2, '0')}:00 UTC` : '--';
     }
 
-    function getActiveWallets(days) {
-        const txns = getAllTransactions(days * DAY_MS);
-        const accounts = new Set();
-        txns.forEach(tx => { if (tx.account) accounts.add(tx.account); });
-        return accounts.size;
+    function getTxTypeDistribution(date) {
+        const day = date || new Date().toISOString().slice(0, 10);
+        const stored = dailyStats[day] && dailyStats[day].txTypes;
+        return mergeCountsMax(stored, getLiveDayBreakdown(day).txTypes);
     }
 
-    function getTxTypeDistribution() {
-        const txns = getAllTransactions(DAY_MS);
-        const dist = {};
-        txns.forEach(tx => {
-            const type = tx.type || 'Unknown';
-            dist[type] = (dist[type] || 0) + 1;
+    // Outcome counts for one day. Like saveDailyStats, whichever of stored vs
+    // live saw more transactions wins, so the counts stay mutually consistent.
+    function getDayOutcomes(date) {
+        const day = date || new Date().toISOString().slice(0, 10);
+        const live = getLiveDayBreakdown(day);
+        const stored = dailyStats[day];
+        if (stored && stored.failures && (stored.txCount || 0) >= live.txCount) {
+            return {
+                txCount: stored.txCount || 0,
+                failedCount: stored.failedCount || 0,
+                failures: stored.failures,
+                txTypes: stored.txTypes || {}
+            };
+        }
+        return live;
+    }
+
+    function getSuccessRate(date) {
+        const outcomes = getDayOutcomes(date);
+        if (outcomes.txCount === 0) return null;
+        return (outcomes.txCount - outcomes.failedCount) / outcomes.txCount * 100;
+    }
+
+    // [{ type, total, failed, codes: [{ code, count }] }], most failures first
+    function getFailureBreakdown(date, codesPerType) {
+        const outcomes = getDayOutcomes(date);
+        return Object.entries(outcomes.failures).map(([type, codes]) => {
+            const failed = Object.values(codes).reduce((s, n) => s + n, 0);
+            return {
+                type,
+                total: Math.max(outcomes.txTypes[type] || 0, failed),
+                failed,
+                codes: Object.entries(codes)
+                    .map(([code, count]) => ({ code, count }))
+                    .sort((a, b) => b.count - a.count)
+                    .slice(0, codesPerType || 3)
+            };
+        }).sort((a, b) => b.failed - a.failed);
+    }
+
+    // [{ date, count }] for the last `count` days, taking the larger of the
+    // stored rollup and the live aggregate for each day
+    function dailySeries(count, storedValue, liveValue) {
+        return lastDays(count).map(date => ({
+            date,
+            count: Math.max(
+                dailyStats[date] ? storedValue(dailyStats[date]) || 0 : 0,
+                liveDays[date] ? liveValue(liveDays[date]) : 0
+            )
+        }));
+    }
+
+    function getFailureHistory() {
+        return dailySeries(7, d => d.failedCount, d => d.failedCount);
+    }
+
+    // [{ date, categories: { "task-request": N } }] for the last 7 days
+    function getMemoCategoryHistory() {
+        return lastDays(7).map(date => {
+            const stored = dailyStats[date] && dailyStats[date].memoCategories;
+            return { date, categories: mergeCountsMax(stored, getLiveDayBreakdown(date).memoCategories) };
         });
-        return dist;
+    }
+
+    // Days that have a type/hour breakdown, newest first
+    function getBreakdownDays() {
+        const days = new Set(Object.keys(liveDays));
+        for (const [date, data] of Object.entries(dailyStats)) {
+            if (data.txTypes || data.hourly) days.add(date);
+        }
+        return [...days].sort().reverse();
     }
 
     function getDailyActiveWalletsHistory() {
@@ -321,16 +688,8 @@ const MetricsEngine = (() => {
         }
 
         // Overlay live session data (use max of stored vs live)
-        const dayBuckets = {};
-        ledgers.forEach(l => {
-            const day = new Date(l.close_time).toISOString().slice(0, 10);
-            if (!dayBuckets[day]) dayBuckets[day] = new Set();
-            l.transactions.forEach(tx => {
-                if (tx.account) dayBuckets[day].add(tx.account);
-            });
-        });
-        for (const [date, accounts] of Object.entries(dayBuckets)) {
-            merged[date] = Math.max(merged[date] || 0, accounts.size);
+        for (const [date, day] of Object.entries(liveDays)) {
+            merged[date] = Math.max(merged[date] || 0, day.wallets.size);
         }
 
         return Object.entries(merged)
@@ -339,234 +698,80 @@ const MetricsEngine = (() => {
             .slice(-30);
     }
 
-    function getDailyActiveWalletsMulti() {
-        // Merge persistent + live wallet counts per day
-        const dayCounts = {};
-        for (const [date, data] of Object.entries(dailyStats)) {
-            dayCounts[date] = data.activeWallets || 0;
-        }
-
-        // Overlay live session data
-        const dayBuckets = {};
-        ledgers.forEach(l => {
-            const day = new Date(l.close_time).toISOString().slice(0, 10);
-            if (!dayBuckets[day]) dayBuckets[day] = new Set();
-            l.transactions.forEach(tx => {
-                if (tx.account) dayBuckets[day].add(tx.account);
-            });
-        });
-        for (const [date, accounts] of Object.entries(dayBuckets)) {
-            dayCounts[date] = Math.max(dayCounts[date] || 0, accounts.size);
-        }
-
-        const sortedDays = Object.keys(dayCounts).sort();
+    /**
+     * Exact rolling unique wallets (DAU / WAU / MAU) for each of the last
+     * `days` UTC days, plus stickiness (DAU / MAU), read from the rolling
+     * counts kept by recordActivity(). Days stored before walletAddresses
+     * were kept only have a count, which serves as a floor for that day's DAU.
+     */
+    function getDailyActiveWalletsMulti(days) {
+        const span = days || 90;
         const result = [];
-
-        for (let i = 0; i < sortedDays.length; i++) {
-            const date = sortedDays[i];
-            const day1 = dayCounts[date];
-
-            // Rolling 7-day sum (approximate — uses stored counts, not unique sets)
-            let day7 = 0;
-            for (let j = Math.max(0, i - 6); j <= i; j++) {
-                day7 = Math.max(day7, dayCounts[sortedDays[j]]);
-            }
-            // Sum is a better approximation for rolling unique
-            let day7sum = 0;
-            for (let j = Math.max(0, i - 6); j <= i; j++) {
-                day7sum += dayCounts[sortedDays[j]];
-            }
-            day7 = Math.max(day1, Math.min(day7sum, day7sum)); // use sum as upper estimate
-
-            // Rolling 30-day
-            let day30sum = 0;
-            for (let j = Math.max(0, i - 29); j <= i; j++) {
-                day30sum += dayCounts[sortedDays[j]];
-            }
-            const day30 = Math.max(day7, day30sum);
-
-            result.push({ date, day1, day7, day30 });
+        for (const date of lastDays(span)) {
+            const dayNum = dayNumber(date);
+            const stored = dailyStats[date];
+            const day1 = Math.max(dayWallets[date] ? dayWallets[date].size : 0, stored ? stored.activeWallets || 0 : 0);
+            const day7 = Math.max(rolling7.get(dayNum) || 0, day1);
+            const day30 = Math.max(rolling30.get(dayNum) || 0, day7);
+            result.push({
+                date,
+                day1,
+                day7,
+                day30,
+                stickiness: day30 > 0 ? day1 / day30 * 100 : 0
+            });
         }
-
-        return result.slice(-30);
+        return result;
     }
 
     function getTxVolumeHistory() {
-        // Build lookup from persistent + live data
-        const merged = {};
-        for (const [date, data] of Object.entries(dailyStats)) {
-            merged[date] = data.txCount || 0;
-        }
-        ledgers.forEach(l => {
-            const day = new Date(l.close_time).toISOString().slice(0, 10);
-            merged[day] = Math.max(merged[day] || 0, (merged[day] || 0), l.txn_count);
-        });
-        // Recompute live totals properly
-        const liveDayTotals = {};
-        ledgers.forEach(l => {
-            const day = new Date(l.close_time).toISOString().slice(0, 10);
-            liveDayTotals[day] = (liveDayTotals[day] || 0) + l.txn_count;
-        });
-        for (const [date, count] of Object.entries(liveDayTotals)) {
-            merged[date] = Math.max(merged[date] || 0, count);
-        }
-
-        // Always return exactly 7 days: today minus 6 through today
-        const result = [];
-        const now = new Date();
-        for (let i = 6; i >= 0; i--) {
-            const d = new Date(now);
-            d.setUTCDate(d.getUTCDate() - i);
-            const date = d.toISOString().slice(0, 10);
-            result.push({ date, count: merged[date] || 0 });
-        }
-        return result;
+        return dailySeries(7, d => d.txCount, d => d.txCount);
     }
 
-    function getCohortRetention() {
-        // Build per-day wallet Sets from dailyStats (populated from remote JSON)
-        const dayWalletSets = {};
-        for (const [date, data] of Object.entries(dailyStats)) {
-            if (data.walletAddresses && data.walletAddresses.length > 0) {
-                dayWalletSets[date] = new Set(data.walletAddresses);
-            }
-        }
-
-        // Also include live session wallet data for today
-        const liveBuckets = {};
-        ledgers.forEach(l => {
-            const day = new Date(l.close_time).toISOString().slice(0, 10);
-            if (!liveBuckets[day]) liveBuckets[day] = new Set();
-            l.transactions.forEach(tx => {
-                if (tx.account) liveBuckets[day].add(tx.account);
-            });
-        });
-        for (const [date, accounts] of Object.entries(liveBuckets)) {
-            if (dayWalletSets[date]) {
-                for (const w of accounts) dayWalletSets[date].add(w);
-            } else {
-                dayWalletSets[date] = new Set(accounts);
-            }
-        }
-
-        // Group wallets by first-seen date (cohorts)
-        const cohorts = {};
-        for (const [wallet, date] of Object.entries(firstSeen)) {
-            if (!cohorts[date]) cohorts[date] = new Set();
-            cohorts[date].add(wallet);
-        }
-
-        const today = new Date().toISOString().slice(0, 10);
-        const todayMs = new Date(today + 'T00:00:00Z').getTime();
-
-        const matured3 = [];
-        const matured7 = [];
-        const matured30 = [];
-
-        for (const [cohortDate, cohortWallets] of Object.entries(cohorts)) {
-            if (cohortWallets.size === 0) continue;
-            const cohortMs = new Date(cohortDate + 'T00:00:00Z').getTime();
-
-            const days3Ms = 3 * 86400000;
-            const days7Ms = 7 * 86400000;
-            const days30Ms = 30 * 86400000;
-
-            if (todayMs - cohortMs < days3Ms) continue; // not yet matured for 3D
-
-            // 3D retention
-            let returned3 = 0;
-            for (const wallet of cohortWallets) {
-                for (let i = 1; i <= 3; i++) {
-                    const checkDate = new Date(cohortMs + i * 86400000).toISOString().slice(0, 10);
-                    if (dayWalletSets[checkDate] && dayWalletSets[checkDate].has(wallet)) {
-                        returned3++;
-                        break;
-                    }
-                }
-            }
-            matured3.push(returned3 / cohortWallets.size * 100);
-
-            // 7D retention
-            if (todayMs - cohortMs >= days7Ms) {
-                let returned7 = 0;
-                for (const wallet of cohortWallets) {
-                    for (let i = 1; i <= 7; i++) {
-                        const checkDate = new Date(cohortMs + i * 86400000).toISOString().slice(0, 10);
-                        if (dayWalletSets[checkDate] && dayWalletSets[checkDate].has(wallet)) {
-                            returned7++;
-                            break;
-                        }
-                    }
-                }
-                matured7.push(returned7 / cohortWallets.size * 100);
-            }
+    function weekStart(date) {
+        // Weekly cohorts start on Monday (UTC)
+        const d = new Date(date + 'T00:00:00Z');
+        d.setUTCDate(d.getUTCDate() - (d.getUTCDay() + 6) % 7);
+        return d.toISOString().slice(0, 10);
+    }
 
-            // 30D retention
-            if (todayMs - cohortMs >= days30Ms) {
-                let returned30 = 0;
-                for (const wallet of cohortWallets) {
-                    for (let i = 1; i <= 30; i++) {
-                        const checkDate = new Date(cohortMs + i * 86400000).toISOString().slice(0, 10);
-                        if (dayWalletSets[checkDate] && dayWalletSets[checkDate].has(wallet)) {
-                            returned30++;
-                            break;
-                        }
-                    }
+    /**
+     * Cohort retention triangle. Wallets are grouped by first-seen day (or
+     * week); cell N holds how many of a cohort were active during period N
+     * after it. Periods that have not fully elapsed are null.
+     * Returns { granularity, periods, rows: [{ cohort, size, cells: [{ period, returned, rate } | null] }] }
+     */
+    function getCohortMatrix(granularity) {
+        const weekly = granularity === 'week';
+        const periodDays = weekly ? 7 : 1;
+        const periods = weekly ? 12 : 30;
+        const today = todayNumber();
+        const index = cohortIndex[weekly ? 'week' : 'day'];
+
+        const rows = Object.keys(index).sort().slice(-periods).map(cohort => {
+            const { size, returned } = index[cohort];
+            const cohortDay = dayNumber(cohort);
+            const cells = [];
+            for (let n = 1; n <= periods; n++) {
+                if (cohortDay + (n + 1) * periodDays > today) {
+                    cells.push(null); // not matured yet
+                    continue;
                 }
-                matured30.push(returned30 / cohortWallets.size * 100);
+                cells.push({ period: n, returned: returned[n], rate: returned[n] / size * 100 });
             }
-        }
-
-        const avg3 = matured3.length > 0
-            ? matured3.reduce((s, v) => s + v, 0) / matured3.length
-            : null;
-        const avg7 = matured7.length > 0
-            ? matured7.reduce((s, v) => s + v, 0) / matured7.length
-            : null;
-        const avg30 = matured30.length > 0
-            ? matured30.reduce((s, v) => s + v, 0) / matured30.length
-            : null;
+            return { cohort, size, cells };
+        });
 
-        return {
-            day3: avg3 !== null ? avg3.toFixed(1) + '%' : '--',
-            day3numeric: avg3 !== null ? parseFloat(avg3.toFixed(1)) : 0,
-            day7: avg7 !== null ? avg7.toFixed(1) + '%' : '--',
-            day7numeric: avg7 !== null ? parseFloat(avg7.toFixed(1)) : 0,
-            day30: avg30 !== null ? avg30.toFixed(1) + '%' : '--',
-            day30numeric: avg30 !== null ? parseFloat(avg30.toFixed(1)) : 0
-        };
+        return { granularity: weekly ? 'week' : 'day', periods, rows };
     }
 
     function getDailyActiveWalletsByDay() {
-        // Merge persistent + live wallet counts per day
-        const merged = {};
-        for (const [date, data] of Object.entries(dailyStats)) {
-            merged[date] = data.activeWallets || 0;
-        }
-
-        // Overlay live session data (use max of stored vs live)
-        const liveDayTotals = {};
-        ledgers.forEach(l => {
-            const day = new Date(l.close_time).toISOString().slice(0, 10);
-            if (!liveDayTotals[day]) liveDayTotals[day] = new Set();
-            l.transactions.forEach(tx => {
-                if (tx.account) liveDayTotals[day].add(tx.account);
-            });
-        });
-        for (const [date, accounts] of Object.entries(liveDayTotals)) {
-            merged[date] = Math.max(merged[date] || 0, accounts.size);
-        }
+        return dailySeries(7, d => d.activeWallets, d => d.wallets.size);
+    }
 
-        // Return exactly 7 days: today minus 6 through today
-        const result = [];
-        const now = new Date();
-        for (let i = 6; i >= 0; i--) {
-            const d = new Date(now);
-            d.setUTCDate(d.getUTCDate() - i);
-            const date = d.toISOString().slice(0, 10);
-            result.push({ date, count: merged[date] || 0 });
-        }
-        return result;
+    // Date ("2026-02-21") a wallet was first active, from the stats file or this session
+    function getFirstSeen(wallet) {
+        return firstSeen[wallet] || null;
     }
 
     function getRecentTransactions(count) {
@@ -580,25 +785,36 @@ const MetricsEngine = (() => {
         return recent;
     }
 
-    function getAllStats() {
+    function getAllStats(options) {
+        // options.day selects the UTC day for the type distribution and peak hour;
+        // options.cohort is 'day' or 'week' for the retention matrix
+        const day = (options && options.day) || new Date().toISOString().slice(0, 10);
+        const dawHistoryMulti = getDailyActiveWalletsMulti(90);
+        const latest = dawHistoryMulti[dawHistoryMulti.length - 1];
         return {
             dailyActiveWallets: getDailyActiveWallets(),
-            activeWallets1d: getActiveWallets(1),
-            activeWallets7d: getActiveWallets(7),
-            activeWallets30d: getActiveWallets(30),
+            // Rolling 24h; the day1 series in dawHistoryMulti counts UTC calendar days
+            activeWallets1d: getDailyActiveWallets(),
+            activeWallets7d: latest.day7,
+            activeWallets30d: latest.day30,
+            stickiness: latest.stickiness,
             tps: getTPS(),
             totalAccounts: getTotalAccounts(),
             avgFee: getAvgFee(),
             ledgerInterval: getLedgerInterval(),
             ledgerHeight: getLedgerHeight(),
             avgTxnPerUser: getAvgTxnPerUser(),
-            peakHour: getPeakHour(),
-            txTypeDistribution: getTxTypeDistribution(),
+            peakHour: getPeakHour(day),
+            txTypeDistribution: getTxTypeDistribution(day),
+            successRate: getSuccessRate(day),
+            failureBreakdown: getFailureBreakdown(day),
+            failureHistory: getFailureHistory(),
+            memoHistory: getMemoCategoryHistory(),
             dawHistory: getDailyActiveWalletsHistory(),
-            dawHistoryMulti: getDailyActiveWalletsMulti(),
+            dawHistoryMulti: dawHistoryMulti,
             dawByDay: getDailyActiveWalletsByDay(),
             txVolHistory: getTxVolumeHistory(),
-            retention: getCohortRetention(),
+            cohortMatrix: getCohortMatrix(options && options.cohort),
             recentTxns: getRecentTransactions(50)
         };
     }
@@ -616,10 +832,10 @@ const MetricsEngine = (() => {
             const remoteCount = Object.keys(remote.days).length;
             console.log(`[Metrics] Loaded ${remoteCount} days from remote stats`);
 
-            // Merge remote firstSeen (local session data takes precedence)
+            // Merge remote firstSeen, keeping the earliest date from either source
             if (remote.firstSeen && typeof remote.firstSeen === 'object') {
                 for (const [wallet, date] of Object.entries(remote.firstSeen)) {
-                    if (!firstSeen[wallet]) {
+                    if (!firstSeen[wallet] || date < firstSeen[wallet]) {
                         firstSeen[wallet] = date;
                     }
                 }
@@ -638,6 +854,7 @@ const MetricsEngine = (() => {
             }
 
             // Persist the merged data locally
+            rebuildActivity();
             saveDailyStats();
         } catch (e) {
             console.warn('[Metrics] Remote stats load failed:', e);
@@ -648,19 +865,32 @@ const MetricsEngine = (() => {
         return ledgers.length > 0 || explorerMetrics !== null;
     }
 
+    // Stored daily stats alone don't count as live data, but can fill the charts
+    function hasStoredStats() {
+        return Object.keys(dailyStats).length > 0;
+    }
+
     return {
         init,
         processServerInfo,
         processLedger,
         processLedgerClosed,
+        normalizeTransaction,
         setExplorerMetrics,
         saveCache,
         getAllStats,
         hasData,
+        hasStoredStats,
         loadRemoteStats,
         getRecentTransactions,
+        getFirstSeen,
         getDailyActiveWalletsHistory,
         getDailyActiveWalletsMulti,
-        getTxVolumeHistory
+        getTxVolumeHistory,
+        getTxTypeDistribution,
+        getHourlyHistogram,
+        getBreakdownDays,
+        getSuccessRate,
+        getFailureBreakdown
     };
 })();
@@ -0,0 +1,207 @@
+/* ============================================
+   Universal Search
+   Header box that looks up a ledger index,
+   transaction (or ledger) hash or account and
+   shows the result in the detail drawer
+   ============================================ */
+
+const Search = (() => {
+    const RECENT_KEY = 'pftperry_recent_searches';
+    const MAX_RECENT = 10;
+    const URL_PARAM = 'q';
+    const RIPPLE_EPOCH = 946684800;
+    const LEDGER_TX_LIMIT = 200;   // Hashes listed for one ledger
+
+    const LEDGER_RE = /^\d{1,10}$/;
+    const HASH_RE = /^[0-9A-Fa-f]{64}$/;
+    const ADDRESS_RE = /^r[1-9A-HJ-NP-Za-km-z]{24,34}$/;
+
+    let input, recentList;
+    let recent = [];
+
+    function init() {
+        const form = document.getElementById('search-form');
+        input = document.getElementById('search-input');
+        recentList = document.getElementById('search-recent');
+        if (!form || !input) return;
+
+        loadRecent();
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            run(input.value);
+        });
+        input.addEventListener('input', () => {
+            input.classList.remove('invalid');
+            input.title = '';
+        });
+
+        // Links rendered by the drawer (accounts, ledgers, hashes) search in place
+        const body = document.getElementById('tx-drawer-body');
+        if (body) {
+            body.addEventListener('click', (e) => {
+                const link = e.target.closest('a[data-search]');
+                if (!link) return;
+                e.preventDefault();
+                run(link.dataset.search);
+            });
+        }
+
+        // Closing the drawer ends the shared view
+        const close = document.getElementById('tx-drawer-close');
+        if (close) close.addEventListener('click', clearUrl);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') clearUrl();
+        });
+
+        // A shared link: run its query once the socket is up
+        const query = new URLSearchParams(window.location.search).get(URL_PARAM);
+        if (query) {
+            input.value = query;
+            whenConnected(() => run(query, { updateUrl: false }));
+        }
+    }
+
+    function whenConnected(fn) {
+        if (WebSocketManager.isConnected()) {
+            fn();
+            return;
+        }
+        const off = WebSocketManager.on('status', status => {
+            if (status !== 'connected') return;
+            off();
+            fn();
+        });
+    }
+
+    // 'ledger' | 'hash' | 'account', or null when the input matches none
+    function classify(query) {
+        if (LEDGER_RE.test(query)) return 'ledger';
+        if (HASH_RE.test(query)) return 'hash';
+        if (ADDRESS_RE.test(query)) return 'account';
+        return null;
+    }
+
+    async function run(raw, options) {
+        const query = String(raw || '').trim();
+        if (!query) return;
+        const kind = classify(query);
+        if (!kind) {
+            if (input) {
+                input.classList.add('invalid');
+                input.title = 'Enter a ledger index, a 64-character hash or an r-address';
+            }
+            return;
+        }
+
+        if (input) input.value = query;
+        remember(query);
+        if (!options || options.updateUrl !== false) writeUrl(query);
+
+        if (kind === 'ledger') await showLedger({ ledger_index: Number(query) }, query);
+        else if (kind === 'account') await AccountProfile.open(query);
+        else await showHash(query.toUpperCase());
+    }
+
+    // ---- Lookups ----
+    // A 64-hex query is tried as a transaction first, then as a ledger hash
+    async function showHash(hash) {
+        const token = TxDetail.begin('TRANSACTION DETAIL', hash.slice(0, 10) + '...');
+        try {
+            TxDetail.finish(token, TxDetail.renderTransaction(await TxDetail.request({ command: 'tx', transaction: hash })));
+        } catch (e) {
+            if (e.code !== 'txnNotFound') {
+                TxDetail.finish(token, TxDetail.errorHtml('transaction', e.message, ['transactions', hash]));
+                return;
+            }
+            await showLedger({ ledger_hash: hash }, hash);
+        }
+    }
+
+    async function showLedger(selector, label) {
+        const token = TxDetail.begin('LEDGER', label);
+        try {
+            const result = await TxDetail.request({ command: 'ledger', ...selector, transactions: true, expand: false });
+            TxDetail.finish(token, renderLedger(result.ledger || {}));
+        } catch (e) {
+            TxDetail.finish(token, TxDetail.errorHtml('ledger', e.message,
+                selector.ledger_index ? ['ledgers', selector.ledger_index] : null));
+        }
+    }
+
+    // ---- Rendering ----
+    function fieldsTable(rows) {
+        return `<table class="drawer-fields">${rows.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}</table>`;
+    }
+
+    function formatCloseTime(seconds) {
+        if (!seconds) return '--';
+        return new Date((seconds + RIPPLE_EPOCH) * 1000).toISOString().replace('T', ' ').slice(0, 19) + ' UTC';
+    }
+
+    function renderLedger(ledger) {
+        const esc = TxDetail.escapeHtml;
+        const seq = Number(ledger.ledger_index);
+        const hashes = (ledger.transactions || []).map(tx => typeof tx === 'string' ? tx : tx.hash);
+        const shown = hashes.slice(0, LEDGER_TX_LIMIT);
+
+        return `
+            <div class="drawer-title">
+                <span class="drawer-type">LEDGER #${seq.toLocaleString()}</span>
+                ${ledger.closed === false ? '<span class="drawer-muted">OPEN</span>' : ''}
+            </div>
+            <div class="drawer-hash">${esc(ledger.ledger_hash || ledger.hash || '')}</div>
+            ${fieldsTable([
+                ['Close time', formatCloseTime(ledger.close_time)],
+                ['Transactions', hashes.length.toLocaleString()],
+                ['Parent', seq > 1 ? TxDetail.searchLink(seq - 1, '#' + (seq - 1).toLocaleString()) : '--'],
+                ['Next', TxDetail.searchLink(seq + 1, '#' + (seq + 1).toLocaleString())],
+                ['Total coins', ledger.total_coins ? TxDetail.formatAmount(ledger.total_coins) : '--']
+            ])}
+            ${shown.length === 0 ? '' : `
+                <div class="drawer-section">TRANSACTIONS</div>
+                ${shown.map(hash => `<div class="drawer-change">${TxDetail.searchLink(hash, hash.slice(0, 16) + '...')}</div>`).join('')}
+                ${hashes.length > shown.length ? `<div class="drawer-muted">+${hashes.length - shown.length} more</div>` : ''}`}
+            <div class="drawer-links">${TxDetail.explorerLink('ledgers', seq, 'View in explorer')}</div>`;
+    }
+
+    // ---- Recent searches and URL ----
+    function loadRecent() {
+        try {
+            const stored = localStorage.getItem(RECENT_KEY);
+            if (stored) recent = JSON.parse(stored) || [];
+        } catch (e) {
+            console.warn('[Search] Recent searches load failed:', e);
+        }
+        renderRecent();
+    }
+
+    function remember(query) {
+        recent = [query, ...recent.filter(q => q !== query)].slice(0, MAX_RECENT);
+        try {
+            localStorage.setItem(RECENT_KEY, JSON.stringify(recent));
+        } catch (e) {
+            console.warn('[Search] Recent searches save failed:', e);
+        }
+        renderRecent();
+    }
+
+    function renderRecent() {
+        if (!recentList) return;
+        recentList.innerHTML = recent.map(q => `<option value="${TxDetail.escapeHtml(q)}"></option>`).join('');
+    }
+
+    function writeUrl(query) {
+        const url = new URL(window.location.href);
+        url.searchParams.set(URL_PARAM, query);
+        history.replaceState(null, '', url);
+    }
+
+    function clearUrl() {
+        const url = new URL(window.location.href);
+        if (!url.searchParams.has(URL_PARAM)) return;
+        url.searchParams.delete(URL_PARAM);
+        history.replaceState(null, '', url);
+    }
+
+    return { init, run, classify };
+})();
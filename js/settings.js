@@ -0,0 +1,71 @@
+/* ============================================
+   Dashboard Settings
+   URL parameters override saved values,
+   which override the defaults below
+   ============================================ */
+
+const Settings = (() => {
+    const STORAGE_KEY = 'pftperry_settings';
+
+    const DEFAULTS = {
+        // Agreement score (0-1) below which a run is flagged on the uptime chart
+        uptimeThreshold: 0.95,
+        // Validators to follow, by domain or public key; the first drives the
+        // top cards. ?validators= takes a comma-separated list
+        validators: ['validator.pftperry.com'],
+        // Consecutive missed ledgers before the live agreement alert shows
+        missedLedgerAlert: 5,
+        // rippled WebSocket endpoints; ?endpoints= takes a comma-separated list
+        endpoints: [
+            'wss://ws.testnet.postfiat.org',
+            'wss://ws-archive.testnet.postfiat.org'
+        ]
+    };
+
+    let saved = {};
+
+    function load() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) saved = JSON.parse(stored) || {};
+        } catch (e) {
+            console.warn('[Settings] Load failed:', e);
+        }
+    }
+
+    function parse(raw, fallback) {
+        if (typeof fallback === 'number') {
+            const n = parseFloat(raw);
+            return isNaN(n) ? fallback : n;
+        }
+        if (Array.isArray(fallback)) {
+            const items = raw.split(',').map(item => item.trim()).filter(Boolean);
+            return items.length > 0 ? items : fallback;
+        }
+        return raw;
+    }
+
+    function get(key) {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has(key)) return parse(params.get(key), DEFAULTS[key]);
+        if (key in saved) return saved[key];
+        return DEFAULTS[key];
+    }
+
+    function getDefault(key) {
+        return DEFAULTS[key];
+    }
+
+    function set(key, value) {
+        saved[key] = value;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+        } catch (e) {
+            console.warn('[Settings] Save failed:', e);
+        }
+    }
+
+    load();
+
+    return { get, getDefault, set };
+})();
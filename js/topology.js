@@ -0,0 +1,227 @@
+/* ============================================
+   Topology View
+   Node map on a bundled world outline, colored
+   by server state or version
+   ============================================ */
+
+const TopologyView = (() => {
+    const WORLD_URL = 'data/world.json';
+    const MAP_LAT_MAX = 80;        // Map is cropped to the inhabited latitudes
+    const MAP_LAT_MIN = -56;
+    const HOVER_RADIUS = 8;
+
+    const STATE_COLORS = {
+        proposing: '#00f0ff',
+        validating: '#00f0ff',
+        full: '#00ff88',
+        tracking: '#ffaa00',
+        syncing: '#ffaa00',
+        connected: '#ffaa00'
+    };
+    const VERSION_COLORS = { current: '#00ff88', outdated: '#ffaa00' };
+    const LEGENDS = {
+        state: [['#00f0ff', 'PROPOSING'], ['#00ff88', 'FULL'], ['#ffaa00', 'SYNCING'], ['#ff3366', 'OTHER']],
+        version: [['#00ff88', 'CURRENT'], ['#ffaa00', 'OUTDATED'], ['#ff3366', 'UNKNOWN']]
+    };
+    const UNKNOWN_COLOR = '#ff3366';
+    const OUTLINE_COLOR = 'rgba(0, 240, 255, 0.25)';
+    const LAND_COLOR = 'rgba(0, 240, 255, 0.04)';
+    const VALIDATOR_RING = '#e0e8ff';
+
+    let world = null;
+    let nodes = [];     // [{ key, name, state, version, outdated, isValidator, lon, lat, located, mapX, mapY, ... }]
+    let colorMode = 'state';
+    let mapCanvas, tooltip, legend;
+
+    async function init() {
+        mapCanvas = document.getElementById('topology-map');
+        tooltip = document.getElementById('topology-tooltip');
+        legend = document.getElementById('topology-legend');
+        if (!mapCanvas) return;
+        drawLegend();
+
+        mapCanvas.addEventListener('mousemove', showTooltip);
+        mapCanvas.addEventListener('mouseleave', hideTooltip);
+        window.addEventListener('resize', drawMap);
+
+        try {
+            const resp = await fetch(WORLD_URL);
+            if (resp.ok) world = await resp.json();
+        } catch (e) {
+            console.warn('[Topology] World outline load failed:', e);
+        }
+        drawMap();
+    }
+
+    /**
+     * Replace the plotted nodes. Each node is
+     * { key, name, state, version, outdated, isValidator, lat, lon, country, city, uptime,
+     *   inbound, outbound };
+     * lat/lon may be missing, in which case the country's point is used.
+     */
+    function update(nodeList) {
+        nodes = nodeList.map(n => {
+            const point = locate(n);
+            return {
+                ...n,
+                lon: point ? point[0] : null,
+                lat: point ? point[1] : null,
+                located: Boolean(point)
+            };
+        });
+        drawMap();
+        return { located: nodes.filter(n => n.located).length };
+    }
+
+    function setColorMode(mode) {
+        colorMode = mode;
+        drawLegend();
+        drawMap();
+    }
+
+    // ---- Geography ----
+    function locate(node) {
+        const lat = parseFloat(node.lat);
+        const lon = parseFloat(node.lon);
+        if (!isNaN(lat) && !isNaN(lon)) return [lon, lat];
+        const point = world && node.country && world.countries[node.country.toUpperCase()];
+        if (!point) return null;
+        // Spread nodes that share a country point so they stay individually visible
+        const h = hashKey(node.key);
+        return [point[0] + ((h & 0xff) / 255 - 0.5) * 3, point[1] + (((h >> 8) & 0xff) / 255 - 0.5) * 2];
+    }
+
+    function hashKey(key) {
+        let h = 0;
+        for (let i = 0; i < key.length; i++) h = (h * 31 + key.charCodeAt(i)) | 0;
+        return h >>> 0;
+    }
+
+    function project(lon, lat, width, height) {
+        return [
+            (lon + 180) / 360 * width,
+            (MAP_LAT_MAX - lat) / (MAP_LAT_MAX - MAP_LAT_MIN) * height
+        ];
+    }
+
+    // ---- Drawing ----
+    function fitCanvas(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        return { ctx, width, height };
+    }
+
+    function nodeColor(node) {
+        if (colorMode === 'version') {
+            if (!node.version) return UNKNOWN_COLOR;
+            return node.outdated ? VERSION_COLORS.outdated : VERSION_COLORS.current;
+        }
+        return STATE_COLORS[node.state] || UNKNOWN_COLOR;
+    }
+
+    function drawNode(ctx, node, x, y) {
+        ctx.beginPath();
+        ctx.arc(x, y, node.isValidator ? 4 : 2.5, 0, Math.PI * 2);
+        ctx.fillStyle = nodeColor(node);
+        ctx.fill();
+        if (node.isValidator) {
+            ctx.beginPath();
+            ctx.arc(x, y, 7, 0, Math.PI * 2);
+            ctx.strokeStyle = VALIDATOR_RING;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+    }
+
+    function drawMap() {
+        if (!mapCanvas) return;
+        const { ctx, width, height } = fitCanvas(mapCanvas);
+
+        if (world) {
+            ctx.beginPath();
+            world.outline.forEach(polygon => {
+                polygon.forEach(([lon, lat], i) => {
+                    const [x, y] = project(lon, lat, width, height);
+                    if (i === 0) ctx.moveTo(x, y);
+                    else ctx.lineTo(x, y);
+                });
+                ctx.closePath();
+            });
+            ctx.fillStyle = LAND_COLOR;
+            ctx.fill();
+            ctx.strokeStyle = OUTLINE_COLOR;
+            ctx.lineWidth = 0.75;
+            ctx.stroke();
+        }
+
+        // Validators last so they sit on top
+        [...nodes].sort((a, b) => a.isValidator - b.isValidator).forEach(node => {
+            if (!node.located) {
+                node.mapX = node.mapY = null;
+                return;
+            }
+            const [x, y] = project(node.lon, node.lat, width, height);
+            node.mapX = x;
+            node.mapY = y;
+            drawNode(ctx, node, x, y);
+        });
+    }
+
+    function drawLegend() {
+        if (!legend) return;
+        legend.innerHTML = LEGENDS[colorMode]
+            .map(([color, label]) => `<span><i style="background: ${color}"></i>${label}</span>`)
+            .join('') + '<span><i class="ring"></i>VALIDATOR</span>';
+    }
+
+    // ---- Tooltip ----
+    function showTooltip(e) {
+        if (!tooltip) return;
+        const rect = mapCanvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        let nearest = null;
+        let best = HOVER_RADIUS * HOVER_RADIUS;
+        nodes.forEach(node => {
+            if (node.mapX === null || node.mapX === undefined) return;
+            const d2 = (node.mapX - x) ** 2 + (node.mapY - y) ** 2;
+            if (d2 < best) {
+                best = d2;
+                nearest = node;
+            }
+        });
+        if (!nearest) {
+            hideTooltip();
+            return;
+        }
+
+        const esc = TxDetail.escapeHtml;
+        const place = [nearest.city, nearest.country].filter(Boolean).join(', ');
+        const counted = nearest.inbound !== undefined || nearest.outbound !== undefined;
+        tooltip.innerHTML = [
+            `<strong>${esc(nearest.name)}</strong>${nearest.isValidator ? ' &middot; validator' : ''}`,
+            `${esc(nearest.state || 'unknown')} &middot; ${esc(nearest.version || 'unknown version')}`,
+            place ? esc(place) : '',
+            nearest.uptime ? `Uptime ${esc(nearest.uptime)}` : '',
+            counted ? `Peers ${Number(nearest.inbound) || 0} in &middot; ${Number(nearest.outbound) || 0} out` : ''
+        ].filter(Boolean).join('<br>');
+        tooltip.style.left = (e.clientX + 12) + 'px';
+        tooltip.style.top = (e.clientY + 12) + 'px';
+        tooltip.classList.remove('hidden');
+    }
+
+    function hideTooltip() {
+        if (tooltip) tooltip.classList.add('hidden');
+    }
+
+    return { init, update, setColorMode };
+})();
@@ -0,0 +1,272 @@
+/* ============================================
+   Transaction Detail Drawer
+   Fetches one transaction with the tx command
+   and shows its fields, amounts and the ledger
+   objects it touched. Search results share
+   the drawer.
+   ============================================ */
+
+const TxDetail = (() => {
+    const EXPLORER_BASE = 'https://explorer.testnet.postfiat.org';
+    const RIPPLE_EPOCH = 946684800;
+    const DROPS_PER_PFT = 1000000;
+
+    let drawer, body, title;
+    // Bumped on every begin() so a slow response cannot overwrite a newer one
+    let current = 0;
+
+    function init() {
+        drawer = document.getElementById('tx-drawer');
+        body = document.getElementById('tx-drawer-body');
+        title = document.getElementById('tx-drawer-title');
+        if (!drawer || !body) return;
+
+        const close = document.getElementById('tx-drawer-close');
+        if (close) close.addEventListener('click', hide);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') hide();
+        });
+    }
+
+    /**
+     * Open the drawer with a loading message. Returns a token for finish();
+     * content for an older token is dropped.
+     */
+    function begin(heading, label) {
+        current++;
+        if (!drawer) return current;
+        if (title) title.textContent = heading;
+        body.innerHTML = `<div class="drawer-placeholder">Loading ${escapeHtml(label)}...</div>`;
+        drawer.classList.remove('hidden');
+        return current;
+    }
+
+    function finish(token, html) {
+        if (!drawer || token !== current) return;
+        body.innerHTML = html;
+    }
+
+    function isCurrent(token) {
+        return token === current;
+    }
+
+    function hide() {
+        current++;
+        if (drawer) drawer.classList.add('hidden');
+    }
+
+    // Resolves to the response's result, or throws with rippled's error message
+    async function request(command) {
+        const resp = await WebSocketManager.sendRequest(command);
+        const result = resp && resp.result;
+        if (!result || result.error || resp.error) {
+            const error = new Error((result && (result.error_message || result.error)) || resp.error || 'no response');
+            error.code = (result && result.error) || resp.error;
+            throw error;
+        }
+        return result;
+    }
+
+    function errorHtml(what, message, explorerPath) {
+        return `
+            <div class="drawer-placeholder">Could not load ${what}: ${escapeHtml(message)}</div>
+            ${explorerPath ? `<div class="drawer-links">${explorerLink(explorerPath[0], explorerPath[1], 'View in explorer')}</div>` : ''}`;
+    }
+
+    async function open(hash) {
+        if (!hash) return;
+        const token = begin('TRANSACTION DETAIL', shorten(hash, 10));
+        try {
+            finish(token, renderTransaction(await request({ command: 'tx', transaction: hash })));
+        } catch (e) {
+            finish(token, errorHtml('transaction', e.message, ['transactions', hash]));
+        }
+    }
+
+    // ---- Decoding ----
+    // API v2 nests the transaction under tx_json; v1 puts its fields on result,
+    // or under tx in account_tx entries
+    function unpack(result) {
+        const tx = result.tx_json || result.tx || result;
+        const closeTime = result.close_time_iso
+            ? Date.parse(result.close_time_iso)
+            : (tx.date || result.date) ? ((tx.date || result.date) + RIPPLE_EPOCH) * 1000 : null;
+        return {
+            tx,
+            meta: result.meta || result.metaData || {},
+            hash: result.hash || tx.hash,
+            ledgerIndex: result.ledger_index || tx.ledger_index || null,
+            closeTime,
+            validated: result.validated === true
+        };
+    }
+
+    // Non-standard currency codes are 40 hex chars, usually ASCII padded with zeros
+    function currencyName(code) {
+        if (!code || code.length !== 40) return code || '';
+        const text = MemoDecoder.hexToText(code.replace(/(00)+$/, ''));
+        return text && /^[\x20-\x7e]+$/.test(text) ? text : shorten(code, 6);
+    }
+
+    function formatAmount(amount) {
+        if (amount === undefined || amount === null) return '--';
+        if (typeof amount === 'object') {
+            const issuer = amount.issuer ? ` <span class="drawer-muted">${accountLink(amount.issuer, true)}</span>` : '';
+            return `${escapeHtml(Number(amount.value).toLocaleString(undefined, { maximumFractionDigits: 15 }))} ${escapeHtml(currencyName(amount.currency))}${issuer}`;
+        }
+        return formatPft(amount);
+    }
+
+    // Native amounts arrive in drops; every view labels them PFT through here
+    function formatPft(drops) {
+        const n = Number(drops);
+        if (drops === undefined || drops === null || isNaN(n)) return '--';
+        return `${(n / DROPS_PER_PFT).toLocaleString(undefined, { maximumFractionDigits: 6 })} PFT`;
+    }
+
+    function formatFee(drops) {
+        const n = Number(drops);
+        if (isNaN(n)) return '--';
+        return `${n.toLocaleString()} drops (${formatPft(n)})`;
+    }
+
+    // Ledger fields that hold an amount, for the affected objects diff
+    const AMOUNT_FIELDS = new Set(['Balance', 'TakerPays', 'TakerGets', 'LowLimit', 'HighLimit', 'Amount', 'SendMax']);
+
+    function formatField(key, value) {
+        if (AMOUNT_FIELDS.has(key)) return formatAmount(value);
+        if (typeof value === 'object') return `<code>${escapeHtml(JSON.stringify(value))}</code>`;
+        return escapeHtml(String(value));
+    }
+
+    // meta.AffectedNodes -> [{ kind, type, index, account, changes: [[field, before, after]] }]
+    function affectedObjects(meta) {
+        return (meta.AffectedNodes || []).map(wrapper => {
+            const kind = Object.keys(wrapper)[0];
+            const node = wrapper[kind];
+            const fields = node.FinalFields || node.NewFields || {};
+            const previous = node.PreviousFields || {};
+            return {
+                kind: kind.replace('Node', ''),
+                type: node.LedgerEntryType,
+                index: node.LedgerIndex,
+                account: fields.Account || null,
+                trustline: fields.HighLimit && fields.LowLimit ? [fields.LowLimit.issuer, fields.HighLimit.issuer] : null,
+                changes: Object.keys(previous).map(key => [key, previous[key], fields[key]])
+            };
+        });
+    }
+
+    // ---- Rendering ----
+    function renderTransaction(result) {
+        const { tx, meta, hash, ledgerIndex, closeTime, validated } = unpack(result);
+        const code = meta.TransactionResult || '';
+        const success = code === 'tesSUCCESS';
+        const memos = MemoDecoder.decodeMemos(tx.Memos);
+
+        const rows = [
+            ['Account', accountLink(tx.Account)],
+            tx.Destination ? ['Destination', accountLink(tx.Destination)] : null,
+            tx.Amount !== undefined ? ['Amount', formatAmount(tx.Amount)] : null,
+            meta.delivered_amount !== undefined && meta.delivered_amount !== 'unavailable'
+                ? ['Delivered', formatAmount(meta.delivered_amount)] : null,
+            tx.SendMax !== undefined ? ['Send max', formatAmount(tx.SendMax)] : null,
+            tx.TakerPays !== undefined ? ['Taker pays', formatAmount(tx.TakerPays)] : null,
+            tx.TakerGets !== undefined ? ['Taker gets', formatAmount(tx.TakerGets)] : null,
+            tx.LimitAmount !== undefined ? ['Limit', formatAmount(tx.LimitAmount)] : null,
+            ['Fee', formatFee(tx.Fee)],
+            ['Sequence', tx.Sequence !== undefined ? escapeHtml(String(tx.Sequence)) : '--'],
+            ['Ledger', ledgerIndex ? searchLink(ledgerIndex, '#' + Number(ledgerIndex).toLocaleString()) : 'pending'],
+            ['Close time', closeTime ? new Date(closeTime).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '--']
+        ].filter(Boolean);
+
+        const memoHtml = memos.length === 0 ? '' : `
+            <div class="drawer-section">MEMOS</div>
+            ${memos.map(m => `
+                <div class="drawer-memo">
+                    ${m.type ? `<div class="drawer-muted">${escapeHtml(m.type)}</div>` : ''}
+                    <div>${escapeHtml(m.binary ? `[binary ${m.data.length / 2} bytes]` : m.data)}</div>
+                </div>`).join('')}`;
+
+        const objects = affectedObjects(meta);
+        const objectsHtml = objects.length === 0 ? '' : `
+            <div class="drawer-section">AFFECTED OBJECTS (${objects.length})</div>
+            ${objects.map(o => `
+                <div class="drawer-object">
+                    <div><span class="drawer-kind ${o.kind.toLowerCase()}">${o.kind.toUpperCase()}</span> ${escapeHtml(o.type || '')}
+                        <span class="drawer-muted" title="${escapeHtml(o.index || '')}">${escapeHtml(shorten(o.index || '', 6))}</span></div>
+                    ${o.account ? `<div class="drawer-muted">${accountLink(o.account)}</div>` : ''}
+                    ${o.trustline ? `<div class="drawer-muted">${accountLink(o.trustline[0], true)} &harr; ${accountLink(o.trustline[1], true)}</div>` : ''}
+                    ${o.changes.map(([key, before, after]) => `
+                        <div class="drawer-change">${escapeHtml(key)}: ${formatField(key, before)} &rarr; ${after !== undefined ? formatField(key, after) : '--'}</div>`).join('')}
+                </div>`).join('')}`;
+
+        return `
+            <div class="drawer-title">
+                <span class="drawer-type">${escapeHtml(tx.TransactionType || 'Unknown')}</span>
+                <span class="drawer-result ${success ? 'success' : 'failed'}">${escapeHtml(code || 'UNKNOWN')}</span>
+                ${validated ? '' : '<span class="drawer-muted">NOT VALIDATED</span>'}
+            </div>
+            <div class="drawer-hash" title="${escapeHtml(hash)}">${escapeHtml(hash)}</div>
+            <table class="drawer-fields">
+                ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}
+            </table>
+            ${memoHtml}
+            ${objectsHtml}
+            <details class="drawer-raw">
+                <summary>ALL FIELDS</summary>
+                <pre>${escapeHtml(JSON.stringify(tx, null, 2))}</pre>
+            </details>
+            <div class="drawer-links">${explorerLink('transactions', hash, 'View in explorer')}</div>`;
+    }
+
+    function explorerLink(kind, id, label) {
+        return `<a href="${EXPLORER_BASE}/${kind}/${encodeURIComponent(id)}" target="_blank" rel="noopener">${escapeHtml(label)}</a>`;
+    }
+
+    // In-app link to a search for query; Search handles the click
+    function searchLink(query, label, title) {
+        const q = String(query);
+        const tooltip = title ? ` title="${escapeHtml(title)}"` : '';
+        return `<a href="?q=${encodeURIComponent(q)}" data-search="${escapeHtml(q)}"${tooltip}>${escapeHtml(label)}</a>`;
+    }
+
+    // Labelled addresses show their address book name and tag instead
+    function accountLink(address, short) {
+        if (!address) return '--';
+        const label = AddressBook.get(address);
+        if (label) return searchLink(address, label.name, address) + AddressBook.tagHtml(label.category);
+        return searchLink(address, short ? shorten(address, 6) : address);
+    }
+
+    function shorten(value, keep) {
+        const s = String(value);
+        return s.length > keep * 2 + 3 ? s.slice(0, keep) + '...' + s.slice(-4) : s;
+    }
+
+    function escapeHtml(str) {
+        return String(str).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    return {
+        init,
+        open,
+        hide,
+        begin,
+        finish,
+        isCurrent,
+        request,
+        errorHtml,
+        renderTransaction,
+        unpack,
+        currencyName,
+        formatAmount,
+        formatPft,
+        searchLink,
+        accountLink,
+        explorerLink,
+        escapeHtml
+    };
+})();
@@ -0,0 +1,124 @@
+/* ============================================
+   Validation Tracker
+   Live agreement from the rippled validations
+   stream: which validators signed each
+   validated ledger, per validator
+   ============================================ */
+
+const ValidationTracker = (() => {
+    const WINDOW = 256;          // Validated ledgers in the rolling agreement window
+    const SETTLE_LEDGERS = 2;    // Late validations for ledger N still count until N + 2 closes
+
+    // Ledger seq -> Map(validator key -> ledger hash it signed)
+    const signed = new Map();
+    // Ledger seq -> validated ledger hash, from ledgerClosed
+    const validated = new Map();
+    // Validator key -> { results: [bool], streak, lastValidationAt }
+    const validators = new Map();
+
+    let myKey = null;
+    // Every validator the user follows, ours included
+    let chosenKeys = [];
+
+    function init() {
+        WebSocketManager.on('validation', processValidation);
+        WebSocketManager.on('ledgerClosed', processLedgerClosed);
+    }
+
+    // Validators are keyed by master key when the stream or the registry
+    // knows it, so a signing key rotation does not reset their history
+    function keyOf(validation) {
+        return validation.master_key
+            || ValidatorRegistry.resolve(validation.validation_public_key)
+            || validation.validation_public_key;
+    }
+
+    function getValidator(key) {
+        if (!validators.has(key)) {
+            validators.set(key, { results: [], streak: 0, lastValidationAt: null });
+        }
+        return validators.get(key);
+    }
+
+    function processValidation(v) {
+        const key = keyOf(v);
+        if (!key) return;
+        getValidator(key).lastValidationAt = Date.now();
+
+        // Partial validations come from servers that are not fully synced
+        if (v.full === false) return;
+        const seq = parseInt(v.ledger_index, 10);
+        if (!seq) return;
+        if (!signed.has(seq)) signed.set(seq, new Map());
+        signed.get(seq).set(key, v.ledger_hash);
+    }
+
+    function processLedgerClosed(data) {
+        validated.set(data.ledger_index, data.ledger_hash);
+        const settled = data.ledger_index - SETTLE_LEDGERS;
+        if (validated.has(settled)) evaluate(settled);
+
+        // Forget anything at or below the settled ledger
+        for (const seq of signed.keys()) {
+            if (seq <= settled) signed.delete(seq);
+        }
+        for (const seq of validated.keys()) {
+            if (seq <= settled) validated.delete(seq);
+        }
+    }
+
+    // Record for every known validator whether it signed the validated hash.
+    // Chosen validators are tracked even if they never signed since the page
+    // loaded, so a validator that is already down still builds a missed streak.
+    function evaluate(seq) {
+        const hash = validated.get(seq);
+        const signers = signed.get(seq) || new Map();
+        for (const key of [myKey, ...chosenKeys]) {
+            if (key) getValidator(ValidatorRegistry.resolve(key) || key);
+        }
+        for (const key of signers.keys()) getValidator(key);
+
+        for (const [key, state] of validators) {
+            const agreed = signers.get(key) === hash;
+            state.results.push(agreed);
+            if (state.results.length > WINDOW) state.results.shift();
+            state.streak = agreed ? 0 : state.streak + 1;
+        }
+    }
+
+    /**
+     * Our validator, by master or signing key. Validations signed with a
+     * signing key that has no manifest are keyed by that signing key.
+     */
+    function setMyValidator(key) {
+        myKey = key || null;
+    }
+
+    // All chosen validators, by master or signing key
+    function setChosenValidators(keys) {
+        chosenKeys = (keys || []).filter(Boolean);
+    }
+
+    /**
+     * { agreement (0-100 or null), ledgers, missedStreak, lastValidationAt }
+     * for one validator; ledgers is how many validated ledgers the
+     * percentage covers.
+     */
+    function getStats(key) {
+        const state = key && validators.get(ValidatorRegistry.resolve(key) || key);
+        if (!state) return { agreement: null, ledgers: 0, missedStreak: 0, lastValidationAt: null };
+        const agreed = state.results.filter(Boolean).length;
+        return {
+            agreement: state.results.length > 0 ? agreed / state.results.length * 100 : null,
+            ledgers: state.results.length,
+            missedStreak: state.streak,
+            lastValidationAt: state.lastValidationAt
+        };
+    }
+
+    function getMyStats() {
+        return getStats(myKey);
+    }
+
+    return { init, setMyValidator, setChosenValidators, getStats, getMyStats };
+})();
@@ -0,0 +1,185 @@
+/* ============================================
+   Validator Registry
+   Links each validator's master key to its
+   current signing key and domain, from VHS and
+   the manifests stream, and records signing
+   key rotations
+   ============================================ */
+
+const ValidatorRegistry = (() => {
+    const ROTATIONS_KEY = 'pftperry_key_rotations';
+    const MAX_ROTATIONS = 200;
+    // Manifest seq a validator publishes to revoke its master key
+    const REVOKED_SEQ = 0xFFFFFFFF;
+
+    // Master key -> { masterKey, signingKey, domain, seq, revoked }
+    const validators = new Map();
+    // Signing key -> master key, including superseded signing keys so late
+    // validations and stale VHS data still resolve
+    const masters = new Map();
+    // [{ masterKey, domain, from, to, seq, time }], oldest first
+    let rotations = [];
+    const changeListeners = new Set();
+
+    function init() {
+        loadRotations();
+        WebSocketManager.on('manifest', processManifest);
+        // Manifests published while we were disconnected are not replayed
+        WebSocketManager.on('status', status => {
+            if (status === 'connected') refreshManifests();
+        });
+    }
+
+    function loadRotations() {
+        try {
+            const stored = localStorage.getItem(ROTATIONS_KEY);
+            if (stored) rotations = JSON.parse(stored) || [];
+        } catch (e) {
+            console.warn('[Registry] Rotation history load failed:', e);
+        }
+    }
+
+    function saveRotations() {
+        try {
+            localStorage.setItem(ROTATIONS_KEY, JSON.stringify(rotations));
+        } catch (e) {
+            console.warn('[Registry] Rotation history save failed:', e);
+        }
+    }
+
+    /**
+     * Record what we know about a validator. seq is the manifest sequence;
+     * an update without one (VHS) never overrides a manifest we have seen.
+     * Returns true when the entry changed.
+     */
+    function record(masterKey, signingKey, domain, seq) {
+        if (!masterKey) return false;
+        const hasSeq = typeof seq === 'number';
+        const entry = validators.get(masterKey);
+
+        if (!entry) {
+            validators.set(masterKey, {
+                masterKey,
+                signingKey: signingKey || null,
+                domain: domain || '',
+                seq: hasSeq ? seq : null,
+                revoked: seq === REVOKED_SEQ
+            });
+            masters.set(masterKey, masterKey);
+            if (signingKey) masters.set(signingKey, masterKey);
+            return true;
+        }
+
+        let changed = false;
+        if (domain && domain !== entry.domain) {
+            entry.domain = domain;
+            changed = true;
+        }
+        const newer = hasSeq ? (entry.seq === null || seq > entry.seq) : entry.seq === null;
+        if (!newer) return changed;
+        if (hasSeq) entry.seq = seq;
+
+        if (seq === REVOKED_SEQ) {
+            console.warn(`[Registry] ${entry.domain || masterKey} revoked its master key`);
+            entry.revoked = true;
+            return true;
+        }
+        if (signingKey && signingKey !== entry.signingKey) {
+            if (entry.signingKey) addRotation(entry, signingKey);
+            entry.signingKey = signingKey;
+            masters.set(signingKey, masterKey);
+            changed = true;
+        }
+        return changed;
+    }
+
+    function addRotation(entry, signingKey) {
+        console.log(`[Registry] ${entry.domain || entry.masterKey} rotated signing key (seq ${entry.seq})`);
+        rotations.push({
+            masterKey: entry.masterKey,
+            domain: entry.domain,
+            from: entry.signingKey,
+            to: signingKey,
+            seq: entry.seq,
+            time: Date.now()
+        });
+        if (rotations.length > MAX_ROTATIONS) rotations = rotations.slice(-MAX_ROTATIONS);
+        saveRotations();
+    }
+
+    function notifyChange() {
+        for (const listener of changeListeners) {
+            try {
+                listener();
+            } catch (e) {
+                console.error('[Registry] Change listener failed:', e);
+            }
+        }
+    }
+
+    // manifestReceived from the manifests stream
+    function processManifest(data) {
+        if (record(data.master_key, data.signing_key, data.domain, data.seq)) notifyChange();
+    }
+
+    /**
+     * Merge the VHS validator list, then ask the connected node for each
+     * validator's current manifest in case VHS is behind a rotation.
+     */
+    function addValidators(list) {
+        let changed = false;
+        list.forEach(v => {
+            if (record(v.master_key || v.validation_public_key, v.signing_key, v.domain)) changed = true;
+        });
+        if (changed) notifyChange();
+        refreshManifests();
+    }
+
+    function refreshManifests() {
+        if (!WebSocketManager.isConnected()) return;
+        for (const masterKey of validators.keys()) {
+            WebSocketManager.sendRequest({ command: 'manifest', public_key: masterKey }, { priority: 'backfill' })
+                .then(resp => {
+                    const details = resp && resp.result && resp.result.details;
+                    if (!details) return;
+                    if (record(details.master_key, details.ephemeral_key, details.domain, details.seq)) notifyChange();
+                })
+                .catch(() => {});
+        }
+    }
+
+    // Master key for a master or signing key, or null if we have not seen it
+    function resolve(key) {
+        return (key && masters.get(key)) || null;
+    }
+
+    function getDomain(key) {
+        const masterKey = resolve(key);
+        return masterKey ? validators.get(masterKey).domain : '';
+    }
+
+    // Master key of the validator claiming a domain
+    function findByDomain(domain) {
+        for (const entry of validators.values()) {
+            if (entry.domain === domain) return entry.masterKey;
+        }
+        return null;
+    }
+
+    // Rotation events, newest first; all validators unless a key is given
+    function getRotations(key) {
+        const masterKey = key ? resolve(key) : null;
+        return rotations
+            .filter(r => !key || r.masterKey === masterKey)
+            .slice()
+            .reverse();
+    }
+
+    // Called whenever a signing key or domain changes
+    function onChange(callback) {
+        changeListeners.add(callback);
+        return () => changeListeners.delete(callback);
+    }
+
+    return { init, addValidators, resolve, getDomain, findByDomain, getRotations, onChange };
+})();
@@ -0,0 +1,362 @@
+/* ============================================
+   Wallet Watchlist
+   Operational wallets followed with subscribe
+   { accounts }: live balance, latest transaction,
+   and alerts for low balances or transaction
+   types the wallet should not be sending
+   ============================================ */
+
+const Watchlist = (() => {
+    const STORAGE_KEY = 'pftperry_watchlist';
+    const MAX_ALERTS = 20;
+    const TOAST_MS = 8000;
+    const ADDRESS_RE = /^r[1-9A-HJ-NP-Za-km-z]{24,34}$/;
+
+    // [{ address, label, minBalance (PFT) | null, types: [TransactionType] }]
+    let wallets = [];
+    // Address -> { balance (drops) | null, lastTx, low, error }
+    const status = new Map();
+    // [{ time, address, name, message, hash }], newest first
+    let alerts = [];
+    let toastTimer = null;
+
+    // ---- Storage ----
+    function load() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) wallets = (JSON.parse(stored) || []).map(normalize).filter(Boolean);
+        } catch (e) {
+            console.warn('[Watchlist] Load failed:', e);
+        }
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(wallets));
+        } catch (e) {
+            console.warn('[Watchlist] Save failed:', e);
+        }
+    }
+
+    // A stored, imported or typed entry -> a clean wallet, or null if the address is bad
+    function normalize(entry) {
+        if (!entry || !ADDRESS_RE.test(String(entry.address || '').trim())) return null;
+        const min = entry.minBalance === '' || entry.minBalance === null || entry.minBalance === undefined
+            ? null : Number(entry.minBalance);
+        const types = Array.isArray(entry.types) ? entry.types : String(entry.types || '').split(/[\s,]+/);
+        return {
+            address: String(entry.address).trim(),
+            label: String(entry.label || '').trim(),
+            minBalance: isNaN(min) ? null : min,
+            types: types.map(t => String(t).trim()).filter(Boolean)
+        };
+    }
+
+    function init() {
+        load();
+        bindControls();
+        WebSocketManager.on('transaction', processTransaction);
+        AddressBook.onChange(render);
+        WebSocketManager.on('status', s => {
+            if (s === 'connected') refreshAll();
+        });
+        WebSocketManager.setAccounts(wallets.map(w => w.address));
+        if (WebSocketManager.isConnected()) refreshAll();
+        render();
+    }
+
+    // ---- Editing ----
+    // Adds or replaces by address; returns how many entries were accepted
+    function add(entries) {
+        const accepted = [].concat(entries).map(normalize).filter(Boolean);
+        accepted.forEach(wallet => {
+            const i = wallets.findIndex(w => w.address === wallet.address);
+            if (i >= 0) wallets[i] = wallet;
+            else wallets.push(wallet);
+            status.delete(wallet.address);
+        });
+        if (accepted.length === 0) return 0;
+        changed();
+        accepted.forEach(w => refresh(w.address));
+        return accepted.length;
+    }
+
+    function remove(address) {
+        wallets = wallets.filter(w => w.address !== address);
+        status.delete(address);
+        changed();
+    }
+
+    function changed() {
+        save();
+        WebSocketManager.setAccounts(wallets.map(w => w.address));
+        render();
+    }
+
+    // Accepts [wallet, ...] or { wallets: [...] }
+    function importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('not valid JSON');
+        }
+        const list = Array.isArray(data) ? data : data && data.wallets;
+        if (!Array.isArray(list)) throw new Error('expected an array of wallets or { "wallets": [...] }');
+        const count = add(list);
+        console.log(`[Watchlist] Imported ${count} of ${list.length} wallets`);
+        return { imported: count, skipped: list.length - count };
+    }
+
+    function exportJson() {
+        return JSON.stringify({ wallets }, null, 2);
+    }
+
+    // ---- Data ----
+    function refreshAll() {
+        wallets.forEach(w => refresh(w.address));
+    }
+
+    // Current balance and latest transaction for one wallet
+    async function refresh(address) {
+        if (!WebSocketManager.isConnected()) return;
+        const entry = statusOf(address);
+        try {
+            const info = await TxDetail.request({ command: 'account_info', account: address, ledger_index: 'validated' });
+            entry.balance = info.account_data ? info.account_data.Balance : null;
+            entry.error = null;
+        } catch (e) {
+            entry.error = e.code === 'actNotFound' ? 'unfunded' : e.message;
+        }
+        try {
+            const history = await TxDetail.request({ command: 'account_tx', account: address, ledger_index_min: -1, ledger_index_max: -1, limit: 1 });
+            const latest = (history.transactions || [])[0];
+            if (latest && (!entry.lastTx || !entry.lastTx.live)) entry.lastTx = summarize(latest);
+        } catch (e) {
+            console.warn(`[Watchlist] ${address} history failed:`, e.message);
+        }
+        if (!wallets.some(w => w.address === address)) return;
+        checkBalance(walletOf(address), entry);
+        render();
+    }
+
+    function statusOf(address) {
+        if (!status.has(address)) status.set(address, { balance: null, lastTx: null, low: false, error: null });
+        return status.get(address);
+    }
+
+    function walletOf(address) {
+        return wallets.find(w => w.address === address);
+    }
+
+    function summarize(entry) {
+        const { tx, meta, hash, closeTime } = TxDetail.unpack(entry);
+        return { hash, type: tx.TransactionType || 'Unknown', result: meta.TransactionResult || '', time: closeTime, account: tx.Account };
+    }
+
+    // Transaction stream: balances come straight from the AccountRoot changes in meta
+    function processTransaction(data) {
+        if (wallets.length === 0) return;
+        const tx = data.transaction || data.tx_json || {};
+        const meta = data.meta || {};
+        const involved = new Set([tx.Account, tx.Destination]);
+        const balances = {};
+        (meta.AffectedNodes || []).forEach(wrapper => {
+            const kind = Object.keys(wrapper)[0];
+            const node = wrapper[kind];
+            if (node.LedgerEntryType !== 'AccountRoot') return;
+            const fields = node.FinalFields || node.NewFields || {};
+            if (!fields.Account) return;
+            involved.add(fields.Account);
+            balances[fields.Account] = kind === 'DeletedNode' ? '0' : fields.Balance;
+        });
+
+        let touched = false;
+        wallets.forEach(wallet => {
+            if (!involved.has(wallet.address)) return;
+            touched = true;
+            const entry = statusOf(wallet.address);
+            entry.lastTx = {
+                ...summarize({ ...data, tx_json: tx, hash: data.hash || tx.hash }),
+                live: true
+            };
+            if (balances[wallet.address] !== undefined) entry.balance = balances[wallet.address];
+
+            // Only what the wallet sends itself; anyone can pay or trust it
+            const sent = tx.Account === wallet.address;
+            if (sent && wallet.types.length > 0 && !wallet.types.includes(entry.lastTx.type)) {
+                raise(wallet, `unexpected ${entry.lastTx.type} (expected ${wallet.types.join(', ')})`, entry.lastTx.hash);
+            }
+            checkBalance(wallet, entry);
+        });
+        if (touched) render();
+    }
+
+    // Alert once when the balance falls below the threshold; re-arm once it recovers
+    function checkBalance(wallet, entry) {
+        if (!wallet || wallet.minBalance === null || entry.balance === null) return;
+        const low = Number(entry.balance) / 1000000 < wallet.minBalance;
+        if (low && !entry.low) {
+            raise(wallet, `balance ${TxDetail.formatPft(entry.balance)} is below ${TxDetail.formatPft(wallet.minBalance * 1000000)}`);
+        }
+        entry.low = low;
+    }
+
+    // ---- Alerts ----
+    function raise(wallet, message, hash) {
+        const alert = { time: Date.now(), address: wallet.address, name: wallet.label || wallet.address, message, hash: hash || null };
+        console.warn(`[Watchlist] ${alert.name}: ${message}`);
+        alerts = [alert, ...alerts].slice(0, MAX_ALERTS);
+        renderAlerts();
+        showToast(alert);
+    }
+
+    function dismiss(index) {
+        alerts.splice(index, 1);
+        renderAlerts();
+    }
+
+    function showToast(alert) {
+        const toast = document.getElementById('watchlist-toast');
+        if (!toast) return;
+        toast.textContent = `WATCHLIST \u00b7 ${alert.name}: ${alert.message}`;
+        toast.classList.remove('hidden');
+        clearTimeout(toastTimer);
+        toastTimer = setTimeout(() => toast.classList.add('hidden'), TOAST_MS);
+    }
+
+    // ---- Rendering ----
+    function bindControls() {
+        const form = document.getElementById('watchlist-form');
+        const addToggle = document.getElementById('watchlist-add');
+        if (form && addToggle) {
+            addToggle.addEventListener('click', () => form.classList.toggle('hidden'));
+            const cancel = document.getElementById('watchlist-cancel');
+            if (cancel) cancel.addEventListener('click', () => form.classList.add('hidden'));
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const field = name => form.elements[name].value;
+                if (add({ address: field('address'), label: field('label'), minBalance: field('minBalance'), types: field('types') }) === 0) {
+                    setHint('Enter a valid r-address', true);
+                    return;
+                }
+                form.reset();
+                form.classList.add('hidden');
+                setHint('');
+            });
+        }
+
+        const file = document.getElementById('watchlist-import');
+        if (file) {
+            file.addEventListener('change', async () => {
+                const chosen = file.files && file.files[0];
+                if (!chosen) return;
+                try {
+                    const { imported, skipped } = importJson(await chosen.text());
+                    setHint(`Imported ${imported} wallet${imported === 1 ? '' : 's'}${skipped ? `, skipped ${skipped} with bad addresses` : ''}`);
+                } catch (e) {
+                    setHint(`Import failed: ${e.message}`, true);
+                }
+                file.value = '';
+            });
+        }
+
+        const exportButton = document.getElementById('watchlist-export');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => {
+                const url = URL.createObjectURL(new Blob([exportJson()], { type: 'application/json' }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = 'watchlist.json';
+                link.click();
+                URL.revokeObjectURL(url);
+            });
+        }
+
+        // Addresses and hashes open in the detail drawer; × removes or dismisses
+        const panel = document.getElementById('watchlist-panel');
+        if (panel) {
+            panel.addEventListener('click', (e) => {
+                const target = e.target.closest('[data-search], [data-remove], [data-dismiss]');
+                if (!target) return;
+                e.preventDefault();
+                if (target.dataset.search) Search.run(target.dataset.search);
+                else if (target.dataset.remove) remove(target.dataset.remove);
+                else dismiss(Number(target.dataset.dismiss));
+            });
+        }
+
+        const toast = document.getElementById('watchlist-toast');
+        if (toast && panel) {
+            toast.addEventListener('click', () => {
+                toast.classList.add('hidden');
+                panel.scrollIntoView({ behavior: 'smooth' });
+            });
+        }
+    }
+
+    function setHint(text, isError) {
+        const hint = document.getElementById('watchlist-hint');
+        if (!hint) return;
+        hint.textContent = text;
+        hint.classList.toggle('alert', !!isError);
+        hint.classList.toggle('hidden', !text);
+    }
+
+    function render() {
+        const body = document.getElementById('watchlist-body');
+        const empty = document.getElementById('watchlist-empty');
+        const count = document.getElementById('watchlist-count');
+        if (count) count.textContent = `${wallets.length} WALLET${wallets.length === 1 ? '' : 'S'}`;
+        if (empty) empty.classList.toggle('hidden', wallets.length > 0);
+        if (!body) return;
+
+        const esc = TxDetail.escapeHtml;
+        body.innerHTML = wallets.map(wallet => {
+            const entry = status.get(wallet.address) || {};
+            const last = entry.lastTx;
+            const balance = entry.error ? `<span class="watchlist-error">${esc(entry.error.toUpperCase())}</span>`
+                : entry.balance !== null && entry.balance !== undefined ? TxDetail.formatPft(entry.balance) : '--';
+            return `
+                <tr class="${entry.low ? 'low' : ''}">
+                    <td class="watchlist-name">${nameHtml(wallet)}</td>
+                    <td><a href="?q=${esc(wallet.address)}" data-search="${esc(wallet.address)}" title="${esc(wallet.address)}">${esc(shorten(wallet.address))}</a></td>
+                    <td>${balance}</td>
+                    <td>${wallet.minBalance !== null ? esc(wallet.minBalance.toLocaleString()) : '--'}</td>
+                    <td>${last ? `<a href="?q=${esc(last.hash)}" data-search="${esc(last.hash)}">${esc(last.type)}</a>
+                        <span class="watchlist-muted">${last.time ? new Date(last.time).toISOString().replace('T', ' ').slice(5, 16) : ''}</span>` : '--'}</td>
+                    <td class="watchlist-types" title="${esc(wallet.types.join(', '))}">${wallet.types.length ? esc(wallet.types.join(', ')) : 'ANY'}</td>
+                    <td><button class="watchlist-remove" data-remove="${esc(wallet.address)}" title="Stop watching">&times;</button></td>
+                </tr>`;
+        }).join('');
+        renderAlerts();
+    }
+
+    // The watchlist's own label, tagged from the address book, else the address book name
+    function nameHtml(wallet) {
+        const known = AddressBook.get(wallet.address);
+        if (!wallet.label) return AddressBook.labelHtml(wallet.address) || '--';
+        return TxDetail.escapeHtml(wallet.label) + (known ? AddressBook.tagHtml(known.category) : '');
+    }
+
+    function renderAlerts() {
+        const list = document.getElementById('watchlist-alerts');
+        const count = document.getElementById('watchlist-count');
+        if (count) count.classList.toggle('alert', alerts.length > 0);
+        if (!list) return;
+        const esc = TxDetail.escapeHtml;
+        list.innerHTML = alerts.map((a, i) => `
+            <div class="watchlist-alert">
+                <span class="watchlist-muted">${new Date(a.time).toTimeString().slice(0, 8)}</span>
+                <a href="?q=${esc(a.address)}" data-search="${esc(a.address)}">${esc(a.name)}</a>
+                ${a.hash ? `<a href="?q=${esc(a.hash)}" data-search="${esc(a.hash)}">${esc(a.message)}</a>` : esc(a.message)}
+                <button class="watchlist-remove" data-dismiss="${i}" title="Dismiss">&times;</button>
+            </div>`).join('');
+    }
+
+    function shorten(address) {
+        return address.slice(0, 8) + '...' + address.slice(-4);
+    }
+
+    return { init, add, remove, importJson, exportJson };
+})();
@@ -4,20 +4,92 @@
    ============================================ */
 
 const WebSocketManager = (() => {
-    const ENDPOINTS = [
-        'wss://ws.testnet.postfiat.org',
-        'wss://ws-archive.testnet.postfiat.org'
-    ];
+    // From Settings, so ?endpoints= or a saved list can point at another node
+    const ENDPOINTS = (() => {
+        const configured = [].concat(Settings.get('endpoints')).filter(url => /^wss?:\/\//.test(url));
+        if (configured.length > 0) return configured;
+        console.warn('[WS] No valid endpoints configured; using the defaults');
+        return Settings.getDefault('endpoints');
+    })();
+
+    const CONNECT_TIMEOUT_MS = 10000;
+    const HEALTH_INTERVAL_MS = 60000;
+    const PROBE_TIMEOUT_MS = 10000;
+    const MAX_LAG_LEDGERS = 3;      // Switch away once the current node is this far behind
+    const LAG_PENALTY_MS = 1000;    // Each ledger of lag scores like a second of latency
 
     let ws = null;
     let currentEndpoint = 0;
     let reconnectTimer = null;
     let reconnectDelay = 2000;
     let isConnected = false;
+    let connectTimer = null;
+    let healthTimer = null;
     let requestId = 0;
-    let pendingRequests = {};
-    let onLedgerCallback = null;
-    let onConnectionChange = null;
+
+    // Endpoint index -> { connectMs, latencyMs, seq, lag, failures, checkedAt }
+    const health = ENDPOINTS.map(() => ({
+        connectMs: null, latencyMs: null, seq: null, lag: null, failures: 0, checkedAt: null
+    }));
+
+    const MAX_IN_FLIGHT = 6;
+    const REQUEST_TIMEOUT_MS = 15000;
+    const MAX_RETRIES = 3;
+    const RETRY_BASE_MS = 500;      // Doubles on each retry
+    const RETRYABLE_ERRORS = ['slowDown', 'tooBusy'];
+    const PRIORITIES = { live: 0, normal: 1, backfill: 2 };
+    const LATENCY_SAMPLES = 50;
+
+    let requestQueues = [[], [], []]; // Waiting jobs, one queue per priority
+    let inFlight = {};                // Request id -> { job, timer, sentAt }
+    let inFlightCount = 0;
+    let requestCounters = { completed: 0, failed: 0, retried: 0 };
+    let latencies = [];               // Most recent round trips (ms)
+
+    const INITIAL_LEDGERS = 50;     // History fetched on the first connect
+    const MAX_BACKFILL = 5000;      // Older gaps are left to the daily stats collector
+    const BACKFILL_BATCH = 5;
+    const BACKFILL_PAUSE_MS = 250;  // Between batches, so backfill never floods the node
+
+    let contiguousSeq = null;       // Every ledger up to this seq has been delivered
+    let deliveredAbove = new Set(); // Delivered seqs beyond a gap
+    let lastClosedSeq = null;
+    let backfillQueue = [];         // Seqs still to fetch, newest first
+    let backfillInFlight = 0;
+    let backfilling = false;
+
+    // Event name -> Set of listeners. ledgerClosed, ledger, server_info,
+    // transaction, validation and manifest carry the rippled message; status carries
+    // 'connecting' | 'connected' | 'disconnected'; backfill carries
+    // { remaining } while missed ledgers are being fetched.
+    const EVENTS = ['ledgerClosed', 'ledger', 'server_info', 'transaction', 'validation', 'manifest', 'status', 'backfill'];
+    const listeners = {};
+    EVENTS.forEach(event => { listeners[event] = new Set(); });
+
+    // Ledgers are assembled from the transactions stream, so both are always on
+    const BASE_STREAMS = ['ledger', 'transactions'];
+
+    // Optional streams, subscribed only while something listens for them
+    const EVENT_STREAMS = {
+        validation: 'validations',
+        manifest: 'manifests'
+    };
+
+    // Accounts followed with subscribe { accounts }, kept across reconnects
+    let accounts = new Set();
+
+    // rippled sends a followed account's transactions on both the
+    // transactions stream and the account subscription; later copies are dropped
+    const RECENT_TX_HASHES = 2000;
+    let recentTxHashes = new Set();
+
+    // Wait this long after ledgerClosed for the ledger's streamed
+    // transactions before fetching the full ledger instead
+    const ASSEMBLY_TIMEOUT_MS = 4000;
+    const ASSEMBLY_WINDOW = 10;     // Ledgers behind the latest close to keep partial buffers for
+
+    // Ledger seq -> { transactions, expected, closeTime, hash, timer }
+    let assembling = {};
 
     function connect() {
         if (ws && (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING)) {
@@ -25,36 +97,60 @@ const WebSocketManager = (() => {
         }
 
         const url = ENDPOINTS[currentEndpoint];
+        const endpointHealth = health[currentEndpoint];
         console.log(`[WS] Connecting to ${url}...`);
         updateStatus('connecting');
 
+        const startedAt = Date.now();
         try {
             ws = new WebSocket(url);
         } catch (e) {
             console.error('[WS] Connection error:', e);
+            endpointHealth.failures++;
             tryNextEndpoint();
             return;
         }
 
+        // A node that never finishes the handshake is treated as a failed connect
+        const socket = ws;
+        connectTimer = setTimeout(() => {
+            if (socket.readyState === WebSocket.CONNECTING) {
+                console.warn(`[WS] ${url} did not connect within ${CONNECT_TIMEOUT_MS}ms`);
+                socket.close();
+            }
+        }, CONNECT_TIMEOUT_MS);
+
         ws.onopen = () => {
             console.log(`[WS] Connected to ${url}`);
+            clearTimeout(connectTimer);
             isConnected = true;
             reconnectDelay = 2000;
+            endpointHealth.connectMs = Date.now() - startedAt;
+            endpointHealth.failures = 0;
             updateStatus('connected');
+            startHealthChecks();
 
-            // Subscribe to ledger stream
-            send({ command: 'subscribe', streams: ['ledger'] });
+            // Subscribe to base streams, plus any optional streams with listeners
+            const streams = [...BASE_STREAMS];
+            for (const [event, stream] of Object.entries(EVENT_STREAMS)) {
+                if (listeners[event].size > 0) streams.push(stream);
+            }
+            send({ command: 'subscribe', streams });
+            // Separate, so a bad address cannot fail the stream subscription
+            if (accounts.size > 0) send({ command: 'subscribe', accounts: [...accounts] });
 
-            // Get server info, then fetch historical ledgers
+            // Get server info, then fetch the initial history or whatever
+            // closed while we were disconnected
             sendRequest({ command: 'server_info' }).then(resp => {
                 if (resp && resp.result && resp.result.info) {
-                    if (onLedgerCallback) {
-                        onLedgerCallback('server_info', resp.result.info);
-                    }
-                    // Fetch last ~50 ledgers to build initial data
+                    emit('server_info', resp.result.info);
                     const latestSeq = resp.result.info.validated_ledger?.seq;
                     if (latestSeq) {
-                        fetchHistoricalLedgers(latestSeq, 50);
+                        if (contiguousSeq === null) {
+                            contiguousSeq = latestSeq - INITIAL_LEDGERS;
+                            advanceContiguous();
+                        }
+                        queueBackfill(contiguousSeq + 1, latestSeq);
                     }
                 }
             }).catch(() => {});
@@ -65,30 +161,28 @@ const WebSocketManager = (() => {
                 const data = JSON.parse(event.data);
 
                 // Handle pending request responses
-                if (data.id && pendingRequests[data.id]) {
-                    pendingRequests[data.id].resolve(data);
-                    delete pendingRequests[data.id];
+                if (data.id && inFlight[data.id]) {
+                    settleRequest(data.id, data);
                     return;
                 }
 
                 // Handle ledger stream
                 if (data.type === 'ledgerClosed') {
-                    if (onLedgerCallback) {
-                        onLedgerCallback('ledgerClosed', data);
+                    emit('ledgerClosed', data);
+                    // A jump in the stream means ledgers were missed
+                    if (lastClosedSeq !== null && data.ledger_index > lastClosedSeq + 1) {
+                        queueBackfill(lastClosedSeq + 1, data.ledger_index - 1);
                     }
-                    // Fetch full ledger with transactions
-                    sendRequest({
-                        command: 'ledger',
-                        ledger_index: data.ledger_index,
-                        transactions: true,
-                        expand: true
-                    }).then(resp => {
-                        if (resp && resp.result && resp.result.ledger) {
-                            if (onLedgerCallback) {
-                                onLedgerCallback('ledger', resp.result.ledger);
-                            }
-                        }
-                    }).catch(() => {});
+                    lastClosedSeq = Math.max(lastClosedSeq || 0, data.ledger_index);
+                    expectLedger(data);
+                } else if (data.type === 'transaction') {
+                    if (data.validated === false || isDuplicateTransaction(data)) return;
+                    emit('transaction', data);
+                    addStreamedTransaction(data);
+                } else if (data.type === 'validationReceived') {
+                    emit('validation', data);
+                } else if (data.type === 'manifestReceived') {
+                    emit('manifest', data);
                 }
             } catch (e) {
                 console.error('[WS] Parse error:', e);
@@ -97,9 +191,20 @@ const WebSocketManager = (() => {
 
         ws.onclose = () => {
             console.log('[WS] Connection closed');
+            clearTimeout(connectTimer);
+            const opened = isConnected;
             isConnected = false;
+            rejectPendingRequests(new Error('Connection closed'));
+            // Anything half-assembled is refetched by the reconnect backfill
+            Object.values(assembling).forEach(entry => clearTimeout(entry.timer));
+            assembling = {};
             updateStatus('disconnected');
-            scheduleReconnect();
+            if (!opened) {
+                endpointHealth.failures++;
+                tryNextEndpoint();
+            } else {
+                scheduleReconnect();
+            }
         };
 
         ws.onerror = (err) => {
@@ -108,31 +213,135 @@ const WebSocketManager = (() => {
         };
     }
 
+    function isDuplicateTransaction(data) {
+        const hash = data.hash || (data.transaction && data.transaction.hash);
+        if (!hash) return false;
+        if (recentTxHashes.has(hash)) return true;
+        recentTxHashes.add(hash);
+        if (recentTxHashes.size > RECENT_TX_HASHES) {
+            recentTxHashes.delete(recentTxHashes.values().next().value);
+        }
+        return false;
+    }
+
+    /**
+     * Follow exactly these accounts with subscribe { accounts }. Their
+     * transactions arrive as ordinary 'transaction' events.
+     */
+    function setAccounts(list) {
+        const next = new Set(list);
+        const added = [...next].filter(a => !accounts.has(a));
+        const removed = [...accounts].filter(a => !next.has(a));
+        accounts = next;
+        if (!isConnected) return;
+        if (added.length > 0) send({ command: 'subscribe', accounts: added });
+        if (removed.length > 0) send({ command: 'unsubscribe', accounts: removed });
+    }
+
     function send(data) {
         if (ws && ws.readyState === WebSocket.OPEN) {
             ws.send(JSON.stringify(data));
         }
     }
 
-    function sendRequest(data) {
+    // ---- Request pipeline ----
+
+    /**
+     * Queue a request. At most MAX_IN_FLIGHT run at once, lower priority
+     * values first: 'live' ahead of 'normal' ahead of 'backfill'. rippled
+     * slowDown/tooBusy responses are retried with backoff; any other
+     * response resolves as-is. Rejects on timeout or when the socket closes.
+     */
+    function sendRequest(data, options) {
+        const priority = PRIORITIES[(options && options.priority) || 'normal'];
         return new Promise((resolve, reject) => {
             if (!ws || ws.readyState !== WebSocket.OPEN) {
+                requestCounters.failed++;
                 reject(new Error('Not connected'));
                 return;
             }
-            const id = ++requestId;
-            data.id = id;
-            pendingRequests[id] = { resolve, reject };
-            ws.send(JSON.stringify(data));
+            requestQueues[priority].push({ data, priority, attempts: 0, resolve, reject });
+            pumpRequests();
+        });
+    }
 
-            // Timeout after 15s
+    function pumpRequests() {
+        while (inFlightCount < MAX_IN_FLIGHT) {
+            const queue = requestQueues.find(q => q.length > 0);
+            if (!queue) return;
+            dispatchRequest(queue.shift());
+        }
+    }
+
+    function dispatchRequest(job) {
+        if (!ws || ws.readyState !== WebSocket.OPEN) {
+            failRequest(job, new Error('Not connected'));
+            return;
+        }
+        const id = ++requestId;
+        const timer = setTimeout(() => {
+            if (!inFlight[id]) return;
+            delete inFlight[id];
+            inFlightCount--;
+            failRequest(job, new Error('Request timeout'));
+            pumpRequests();
+        }, REQUEST_TIMEOUT_MS);
+        inFlight[id] = { job, timer, sentAt: Date.now() };
+        inFlightCount++;
+        ws.send(JSON.stringify({ ...job.data, id }));
+    }
+
+    function settleRequest(id, response) {
+        const { job, timer, sentAt } = inFlight[id];
+        clearTimeout(timer);
+        delete inFlight[id];
+        inFlightCount--;
+
+        latencies.push(Date.now() - sentAt);
+        if (latencies.length > LATENCY_SAMPLES) latencies.shift();
+
+        if (RETRYABLE_ERRORS.includes(response.error) && job.attempts < MAX_RETRIES) {
+            job.attempts++;
+            requestCounters.retried++;
+            const delay = RETRY_BASE_MS * 2 ** (job.attempts - 1);
+            console.warn(`[WS] ${job.data.command}: ${response.error}, retrying in ${delay}ms`);
             setTimeout(() => {
-                if (pendingRequests[id]) {
-                    pendingRequests[id].reject(new Error('Request timeout'));
-                    delete pendingRequests[id];
-                }
-            }, 15000);
-        });
+                requestQueues[job.priority].push(job);
+                pumpRequests();
+            }, delay);
+        } else {
+            if (response.error) requestCounters.failed++;
+            else requestCounters.completed++;
+            job.resolve(response);
+        }
+        pumpRequests();
+    }
+
+    function failRequest(job, error) {
+        requestCounters.failed++;
+        job.reject(error);
+    }
+
+    function rejectPendingRequests(error) {
+        for (const { job, timer } of Object.values(inFlight)) {
+            clearTimeout(timer);
+            failRequest(job, error);
+        }
+        inFlight = {};
+        inFlightCount = 0;
+        requestQueues.forEach(queue => queue.splice(0).forEach(job => failRequest(job, error)));
+    }
+
+    // Counters for a debug panel; avgLatency is over the last LATENCY_SAMPLES responses
+    function getRequestStats() {
+        return {
+            queued: requestQueues.reduce((n, q) => n + q.length, 0),
+            inFlight: inFlightCount,
+            completed: requestCounters.completed,
+            failed: requestCounters.failed,
+            retried: requestCounters.retried,
+            avgLatency: latencies.length > 0 ? latencies.reduce((a, b) => a + b, 0) / latencies.length : 0
+        };
     }
 
     function tryNextEndpoint() {
@@ -149,17 +358,77 @@ const WebSocketManager = (() => {
     }
 
     function updateStatus(status) {
-        if (onConnectionChange) {
-            onConnectionChange(status);
+        emit('status', status);
+    }
+
+    // ---- Events ----
+
+    function checkEvent(event) {
+        if (!listeners[event]) {
+            throw new Error(`[WS] Unknown event "${event}"; expected one of ${EVENTS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Subscribe to an event. Returns a function that removes the listener,
+     * equivalent to off(event, callback).
+     */
+    function on(event, callback) {
+        checkEvent(event);
+        const stream = EVENT_STREAMS[event];
+        if (stream && listeners[event].size === 0 && isConnected) {
+            send({ command: 'subscribe', streams: [stream] });
+        }
+        listeners[event].add(callback);
+        return () => off(event, callback);
+    }
+
+    function off(event, callback) {
+        checkEvent(event);
+        for (const listener of listeners[event]) {
+            if (listener === callback || listener.original === callback) {
+                listeners[event].delete(listener);
+            }
+        }
+        const stream = EVENT_STREAMS[event];
+        if (stream && listeners[event].size === 0 && isConnected) {
+            send({ command: 'unsubscribe', streams: [stream] });
+        }
+    }
+
+    function once(event, callback) {
+        const wrapper = (data) => {
+            off(event, wrapper);
+            callback(data);
+        };
+        wrapper.original = callback;
+        return on(event, wrapper);
+    }
+
+    function emit(event, data) {
+        // Copy so listeners can unsubscribe while being called
+        for (const listener of [...listeners[event]]) {
+            try {
+                listener(data);
+            } catch (e) {
+                console.error(`[WS] ${event} listener failed:`, e);
+            }
         }
     }
 
+    /**
+     * @deprecated Use on('ledger' | 'ledgerClosed' | 'server_info', ...).
+     * Calls callback(type, data) for those three events, as before.
+     */
     function onLedger(callback) {
-        onLedgerCallback = callback;
+        const unsubscribers = ['server_info', 'ledgerClosed', 'ledger']
+            .map(type => on(type, data => callback(type, data)));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
     }
 
+    /** @deprecated Use on('status', callback). */
     function onConnection(callback) {
-        onConnectionChange = callback;
+        return on('status', callback);
     }
 
     function getServerInfo() {
@@ -172,31 +441,275 @@ const WebSocketManager = (() => {
         return sendRequest(req);
     }
 
-    async function fetchHistoricalLedgers(latestSeq, count) {
-        console.log(`[WS] Fetching ${count} historical ledgers from ${latestSeq}...`);
-        // Fetch in batches to avoid overwhelming the connection
-        for (let i = 0; i < count; i += 5) {
-            const batch = [];
-            for (let j = 0; j < 5 && (i + j) < count; j++) {
-                const seq = latestSeq - i - j;
-                batch.push(
-                    sendRequest({
-                        command: 'ledger',
-                        ledger_index: seq,
-                        transactions: true,
-                        expand: true
-                    }).then(resp => {
-                        if (resp && resp.result && resp.result.ledger) {
-                            if (onLedgerCallback) {
-                                onLedgerCallback('ledger', resp.result.ledger);
-                            }
-                        }
-                    }).catch(() => {})
-                );
+    function fetchLedger(seq, priority) {
+        return sendRequest({
+            command: 'ledger',
+            ledger_index: seq,
+            transactions: true,
+            expand: true
+        }, { priority }).then(resp => {
+            // Error responses resolve; reject them so callers can retry the seq
+            const ledger = resp && resp.result && resp.result.ledger;
+            if (!ledger) throw new Error((resp && resp.error) || 'No ledger in response');
+            markDelivered(parseInt(ledger.ledger_index, 10));
+            emit('ledger', ledger);
+        });
+    }
+
+    // ---- Ledger assembly from the transactions stream ----
+
+    function assemblyEntry(seq) {
+        if (!assembling[seq]) {
+            assembling[seq] = { transactions: [], expected: null, closeTime: null, hash: null, timer: null };
+        }
+        return assembling[seq];
+    }
+
+    function addStreamedTransaction(data) {
+        const seq = data.ledger_index;
+        if (!seq || (contiguousSeq !== null && seq <= contiguousSeq) || deliveredAbove.has(seq)) return;
+        assemblyEntry(seq).transactions.push(data);
+        completeLedger(seq);
+    }
+
+    function expectLedger(closed) {
+        const seq = closed.ledger_index;
+        if (typeof closed.txn_count !== 'number') {
+            fetchLiveLedger(seq);
+            return;
+        }
+        const entry = assemblyEntry(seq);
+        entry.expected = closed.txn_count;
+        entry.closeTime = closed.ledger_time;
+        entry.hash = closed.ledger_hash;
+        entry.timer = setTimeout(() => {
+            if (assembling[seq] !== entry) return;
+            delete assembling[seq];
+            console.warn(`[WS] Ledger ${seq}: ${entry.transactions.length}/${entry.expected} transactions streamed; fetching it`);
+            fetchLiveLedger(seq);
+        }, ASSEMBLY_TIMEOUT_MS);
+
+        // Drop buffers for ledgers whose close we never saw; backfill covers them
+        for (const key of Object.keys(assembling)) {
+            if (key < seq - ASSEMBLY_WINDOW && assembling[key].expected === null) delete assembling[key];
+        }
+        completeLedger(seq);
+    }
+
+    // A live ledger that can't be fetched now is left to the backfill queue
+    function fetchLiveLedger(seq) {
+        fetchLedger(seq, 'live').catch(e => {
+            console.warn(`[WS] Ledger ${seq} fetch failed:`, e.message);
+            queueBackfill(seq, seq);
+        });
+    }
+
+    // Emit the ledger once every transaction announced by ledgerClosed has streamed in
+    function completeLedger(seq) {
+        const entry = assembling[seq];
+        if (!entry || entry.expected === null || entry.transactions.length < entry.expected) return;
+        clearTimeout(entry.timer);
+        delete assembling[seq];
+        markDelivered(seq);
+        emit('ledger', {
+            ledger_index: String(seq),
+            ledger_hash: entry.hash,
+            close_time: entry.closeTime,
+            // Same shape as an expanded `ledger` response
+            transactions: entry.transactions.map(t => ({
+                ...(t.transaction || t.tx_json),
+                hash: t.hash || (t.transaction && t.transaction.hash),
+                metaData: t.meta
+            }))
+        });
+    }
+
+    // ---- Gap tracking & backfill ----
+
+    function markDelivered(seq) {
+        if (contiguousSeq !== null && seq <= contiguousSeq) return;
+        deliveredAbove.add(seq);
+        advanceContiguous();
+    }
+
+    function advanceContiguous() {
+        if (contiguousSeq === null) return;
+        for (const seq of deliveredAbove) {
+            if (seq <= contiguousSeq) deliveredAbove.delete(seq);
+        }
+        while (deliveredAbove.delete(contiguousSeq + 1)) {
+            contiguousSeq++;
+        }
+    }
+
+    // Queue every undelivered seq in [from, to] that is not already queued
+    function queueBackfill(from, to) {
+        if (to - from + 1 > MAX_BACKFILL) {
+            console.warn(`[WS] Gap of ${to - from + 1} ledgers; fetching only the latest ${MAX_BACKFILL}`);
+            from = to - MAX_BACKFILL + 1;
+            if (contiguousSeq !== null && contiguousSeq < from - 1) {
+                contiguousSeq = from - 1;
+                advanceContiguous();
             }
-            await Promise.all(batch);
         }
-        console.log(`[WS] Historical ledger fetch complete`);
+        const queued = new Set(backfillQueue);
+        const missing = [];
+        for (let seq = to; seq >= from; seq--) {
+            if (contiguousSeq !== null && seq <= contiguousSeq) break;
+            if (!deliveredAbove.has(seq) && !queued.has(seq)) missing.push(seq);
+        }
+        if (missing.length > 0) {
+            console.log(`[WS] Backfilling ${missing.length} ledgers (${from}-${to})`);
+            backfillQueue = backfillQueue.concat(missing).sort((a, b) => b - a);
+            emitBackfill();
+        }
+        // Also resumes a queue left over from before a disconnect
+        runBackfill();
+    }
+
+    async function runBackfill() {
+        if (backfilling || backfillQueue.length === 0) return;
+        backfilling = true;
+        while (backfillQueue.length > 0 && isConnected) {
+            const batch = backfillQueue.splice(0, BACKFILL_BATCH);
+            backfillInFlight = batch.length;
+            // Failed seqs stay undelivered, so the next reconnect queues them again
+            await Promise.all(batch.map(seq => fetchLedger(seq, 'backfill').catch(e => {
+                console.warn(`[WS] Backfill of ledger ${seq} failed:`, e.message);
+            })));
+            backfillInFlight = 0;
+            emitBackfill();
+            if (backfillQueue.length > 0) {
+                await new Promise(resolve => setTimeout(resolve, BACKFILL_PAUSE_MS));
+            }
+        }
+        backfilling = false;
+        emitBackfill();
+    }
+
+    function emitBackfill() {
+        emit('backfill', { remaining: backfillQueue.length + backfillInFlight });
+    }
+
+    // ---- Endpoint health ----
+
+    function startHealthChecks() {
+        if (healthTimer || ENDPOINTS.length < 2) return;
+        healthTimer = setInterval(checkEndpoints, HEALTH_INTERVAL_MS);
+    }
+
+    /**
+     * Open a throwaway connection to url and ask for server_info.
+     * Resolves { connectMs, latencyMs, seq }, or null if it fails.
+     */
+    function probeEndpoint(url) {
+        return new Promise(resolve => {
+            const startedAt = Date.now();
+            let socket = null;
+            let connectMs = null;
+            let sentAt = null;
+            let settled = false;
+            const finish = (result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                if (socket) socket.close();
+                resolve(result);
+            };
+            const timer = setTimeout(() => finish(null), PROBE_TIMEOUT_MS);
+
+            try {
+                socket = new WebSocket(url);
+            } catch (e) {
+                finish(null);
+                return;
+            }
+            socket.onopen = () => {
+                connectMs = Date.now() - startedAt;
+                sentAt = Date.now();
+                socket.send(JSON.stringify({ id: 1, command: 'server_info' }));
+            };
+            socket.onmessage = (event) => {
+                try {
+                    const data = JSON.parse(event.data);
+                    if (data.id !== 1) return;
+                    const seq = data.result?.info?.validated_ledger?.seq;
+                    finish(seq ? { connectMs, latencyMs: Date.now() - sentAt, seq } : null);
+                } catch (e) {
+                    finish(null);
+                }
+            };
+            socket.onerror = () => finish(null);
+            socket.onclose = () => finish(null);
+        });
+    }
+
+    // Lower is better; unreachable endpoints score Infinity
+    function healthScore(h) {
+        if (h.seq === null || h.failures > 0) return Infinity;
+        return (h.latencyMs || 0) + (h.connectMs || 0) + (h.lag || 0) * LAG_PENALTY_MS;
+    }
+
+    /**
+     * Measure every endpoint at about the same moment: the current one over
+     * the open socket, the rest with probes. Lag is how many validated
+     * ledgers an endpoint trails the furthest-ahead one.
+     */
+    async function checkEndpoints() {
+        if (!isConnected) return;
+        const checks = ENDPOINTS.map((url, i) => {
+            if (i !== currentEndpoint) return probeEndpoint(url);
+            const sentAt = Date.now();
+            return sendRequest({ command: 'server_info' }).then(resp => {
+                const info = resp && resp.result && resp.result.info;
+                if (!info) return null;
+                emit('server_info', info);
+                return { connectMs: health[i].connectMs, latencyMs: Date.now() - sentAt, seq: info.validated_ledger?.seq || null };
+            }).catch(() => null);
+        });
+        const results = await Promise.all(checks);
+
+        const now = Date.now();
+        results.forEach((result, i) => {
+            const h = health[i];
+            h.checkedAt = now;
+            if (!result || !result.seq) {
+                h.failures++;
+                h.seq = null;
+                return;
+            }
+            h.failures = 0;
+            h.connectMs = result.connectMs;
+            h.latencyMs = result.latencyMs;
+            h.seq = result.seq;
+        });
+        const maxSeq = Math.max(...health.map(h => h.seq || 0));
+        health.forEach(h => { h.lag = h.seq === null ? null : maxSeq - h.seq; });
+
+        // Only leave the current endpoint once it falls behind or stops answering
+        const current = health[currentEndpoint];
+        if (current.seq !== null && current.lag < MAX_LAG_LEDGERS) return;
+        let best = currentEndpoint;
+        health.forEach((h, i) => {
+            if (healthScore(h) < healthScore(health[best])) best = i;
+        });
+        if (best !== currentEndpoint && isConnected) {
+            const reason = current.seq === null ? 'not responding' : `${current.lag} ledgers behind`;
+            console.warn(`[WS] ${ENDPOINTS[currentEndpoint]} is ${reason}; switching to ${ENDPOINTS[best]}`);
+            currentEndpoint = best;
+            reconnectDelay = 1000;
+            ws.close();
+        }
+    }
+
+    // For a debug panel: [{ url, current, connectMs, latencyMs, seq, lag, failures, checkedAt, score }]
+    function getEndpointHealth() {
+        return ENDPOINTS.map((url, i) => ({
+            url,
+            current: i === currentEndpoint,
+            ...health[i],
+            score: healthScore(health[i])
+        }));
     }
 
     function getIsConnected() {
@@ -205,9 +718,15 @@ const WebSocketManager = (() => {
 
     return {
         connect,
+        on,
+        off,
+        once,
         onLedger,
         onConnection,
         sendRequest,
+        setAccounts,
+        getRequestStats,
+        getEndpointHealth,
         getServerInfo,
         getLedgerData,
         isConnected: getIsConnected
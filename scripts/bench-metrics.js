@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * bench-metrics.js
+ * Times MetricsEngine against a synthetic fixture: 90 days of stored
+ * rollups plus 5000 live ledgers spread over the last 30 days. Reports
+ * ingest time, getAllStats() with no new data, and the dashboard's steady
+ * state of one new ledger followed by getAllStats().
+ *
+ * The engine runs in a vm context with stub localStorage and no IndexedDB,
+ * so nothing is persisted. Pass another copy of metrics.js to compare,
+ * e.g. one extracted with `git show <rev>:js/metrics.js`.
+ *
+ * Usage: node scripts/bench-metrics.js [path/to/metrics.js]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { performance } = require('perf_hooks');
+
+const ROOT = path.join(__dirname, '..');
+const METRICS_FILE = process.argv[2] ? path.resolve(process.argv[2]) : path.join(ROOT, 'js', 'metrics.js');
+const LEDGER_COUNT = 5000;
+const TXNS_PER_LEDGER = 20;
+const WALLET_COUNT = 3000;
+const STORED_DAYS = 90;
+const STORED_WALLETS_PER_DAY = 300;
+const LIVE_SPAN_MS = 29 * 86400000;
+const READ_ITERATIONS = 10;
+const RIPPLE_EPOCH = 946684800;
+
+const TX_TYPES = ['Payment', 'Payment', 'Payment', 'TrustSet', 'OfferCreate', 'AccountSet', 'NFTokenMint'];
+const MEMO_HEX = Buffer.from('REQUEST_POST_FIAT ___ benchmark task').toString('hex').toUpperCase();
+
+// Deterministic PRNG (mulberry32) so every run sees the same fixture
+function makeRandom(seed) {
+    let a = seed;
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const random = makeRandom(42);
+const pick = list => list[Math.floor(random() * list.length)];
+const wallet = () => `rBench${Math.floor(random() * WALLET_COUNT)}`;
+
+function makeLedger(seq, closeMs) {
+    const transactions = [];
+    for (let i = 0; i < TXNS_PER_LEDGER; i++) {
+        const tx = {
+            TransactionType: pick(TX_TYPES),
+            Account: wallet(),
+            Destination: wallet(),
+            Fee: String(10 + Math.floor(random() * 20)),
+            hash: `${seq}-${i}`
+        };
+        if (random() < 0.1) tx.Memos = [{ Memo: { MemoData: MEMO_HEX } }];
+        transactions.push({
+            ...tx,
+            metaData: { TransactionResult: random() < 0.05 ? 'tecUNFUNDED_PAYMENT' : 'tesSUCCESS' }
+        });
+    }
+    return {
+        ledger_index: String(seq),
+        close_time: Math.floor(closeMs / 1000) - RIPPLE_EPOCH,
+        transactions
+    };
+}
+
+function makeStoredDays() {
+    const days = {};
+    const today = Math.floor(Date.now() / 86400000);
+    for (let n = today - STORED_DAYS; n < today - 30; n++) {
+        const wallets = new Set();
+        while (wallets.size < STORED_WALLETS_PER_DAY) wallets.add(wallet());
+        days[new Date(n * 86400000).toISOString().slice(0, 10)] = {
+            txCount: STORED_WALLETS_PER_DAY * 5,
+            activeWallets: wallets.size,
+            walletAddresses: [...wallets]
+        };
+    }
+    return days;
+}
+
+function loadEngine() {
+    const store = { pftperry_daily_stats: JSON.stringify(makeStoredDays()) };
+    const quiet = () => {};
+    const context = {
+        console: { log: quiet, warn: quiet, error: console.error },
+        localStorage: {
+            getItem: key => (key in store ? store[key] : null),
+            setItem: (key, value) => { store[key] = String(value); },
+            removeItem: key => { delete store[key]; }
+        },
+        setTimeout,
+        clearTimeout,
+        TextDecoder
+    };
+    context.window = context;
+    vm.createContext(context);
+    for (const file of [path.join(ROOT, 'js', 'memos.js'), path.join(ROOT, 'js', 'ledger-store.js'), METRICS_FILE]) {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    }
+    return vm.runInContext('MetricsEngine', context);
+}
+
+function time(fn) {
+    const start = performance.now();
+    fn();
+    return performance.now() - start;
+}
+
+async function main() {
+    const engine = loadEngine();
+    await engine.init();
+
+    const now = Date.now();
+    const firstSeq = 1000000;
+    const fixture = [];
+    for (let i = 0; i < LEDGER_COUNT; i++) {
+        fixture.push(makeLedger(firstSeq + i, now - LIVE_SPAN_MS + i * LIVE_SPAN_MS / LEDGER_COUNT));
+    }
+    const extra = [];
+    for (let i = 0; i < READ_ITERATIONS; i++) {
+        extra.push(makeLedger(firstSeq + LEDGER_COUNT + i, now));
+    }
+
+    console.log(`Benchmarking ${path.relative(process.cwd(), METRICS_FILE)}`);
+    console.log(`Fixture: ${LEDGER_COUNT} ledgers x ${TXNS_PER_LEDGER} txns, ${STORED_DAYS - 30} stored days`);
+
+    const ingest = time(() => fixture.forEach(l => engine.processLedger(l)));
+    console.log(`  ingest ${LEDGER_COUNT} ledgers:        ${ingest.toFixed(0)} ms (${(ingest / LEDGER_COUNT).toFixed(3)} ms/ledger)`);
+
+    engine.getAllStats();
+    let idle = 0;
+    for (let i = 0; i < READ_ITERATIONS; i++) idle += time(() => engine.getAllStats());
+    console.log(`  getAllStats, no new data:     ${(idle / READ_ITERATIONS).toFixed(2)} ms/call`);
+
+    let steady = 0;
+    for (const l of extra) {
+        steady += time(() => {
+            engine.processLedger(l);
+            engine.getAllStats();
+        });
+    }
+    console.log(`  new ledger + getAllStats:     ${(steady / READ_ITERATIONS).toFixed(2)} ms/call`);
+}
+
+main().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -1,11 +1,26 @@
 #!/usr/bin/env node
 /**
  * collect-daily-stats.js
- * Connects via WebSocket to the Post Fiat testnet, fetches recent ledgers,
- * counts today's transactions and unique accounts, fetches explorer/VHS
- * metrics, and writes data/daily-stats.json.
+ * Connects via WebSocket to the Post Fiat testnet, walks every validated
+ * ledger closed since the previous run, merges transaction, transaction
+ * type, hourly, failure, memo category and unique account counts into the
+ * matching UTC days, fetches explorer/VHS metrics, and writes
+ * data/daily-stats.json. Each run also appends our validator's VHS
+ * agreement snapshot to data/validator-history.json.
+ *
+ * Progress is persisted in the data file as `cursor` (the last ledger seq
+ * processed). Per-day wallet sets live in `days[date].walletAddresses` and
+ * are unioned on every run, so counts are never doubled and a run that
+ * crosses midnight finishes the previous UTC day before starting the next.
+ *
+ * Backfill mode rebuilds whole days from the archive node instead:
+ * dates are mapped to ledger ranges, ledgers are fetched with bounded
+ * concurrency, and progress is checkpointed to data/backfill-checkpoint.json
+ * so an interrupted run picks up where it stopped. The page never loads
+ * that file, and it is deleted once the backfill completes.
  *
  * Usage: node scripts/collect-daily-stats.js
+ *        node scripts/collect-daily-stats.js --from 2026-01-01 --to 2026-02-20
  */
 
 const WebSocket = require('ws');
@@ -13,21 +28,31 @@ const https = require('https');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const MemoDecoder = require('../js/memos.js');
 
 const WS_URL = 'wss://ws.testnet.postfiat.org';
+const ARCHIVE_WS_URL = 'wss://ws-archive.testnet.postfiat.org';
 const EXPLORER_API = 'https://explorer.testnet.postfiat.org/api/v1';
 const VHS_BASE = 'https://vhs.testnet.postfiat.org';
 const DATA_FILE = path.join(__dirname, '..', 'data', 'daily-stats.json');
-const TIMEOUT_MS = 60000;
-const LEDGERS_TO_FETCH = 200;
+const HISTORY_FILE = path.join(__dirname, '..', 'data', 'validator-history.json');
+const CHECKPOINT_FILE = path.join(__dirname, '..', 'data', 'backfill-checkpoint.json');
+const MY_VALIDATOR_DOMAIN = 'validator.pftperry.com';
+const TIMEOUT_MS = 240000;
+const BOOTSTRAP_LEDGERS = 200;     // Window used when no cursor exists yet
+const MAX_LEDGERS_PER_RUN = 3000;  // Larger gaps are caught up over several runs
+const BATCH_SIZE = 20;
+const RIPPLE_EPOCH = 946684800;
+const MAX_DAYS = 90;
+const DAY_MS = 86400000;
+const BACKFILL_CONCURRENCY = 8;
+const BACKFILL_RETRIES = 3;
+const BACKFILL_CHECKPOINT_EVERY = 500;  // ledgers between progress saves
 
 const today = new Date().toISOString().slice(0, 10);
 
-// Safety timeout
-const safetyTimer = setTimeout(() => {
-    console.error('[Timeout] Script exceeded 60s, exiting');
-    process.exit(1);
-}, TIMEOUT_MS);
+// Safety timeout (live runs only; a backfill can legitimately take hours)
+let safetyTimer = null;
 
 function httpGet(url) {
     return new Promise((resolve, reject) => {
@@ -70,74 +95,177 @@ function wsSend(ws, msg) {
     });
 }
 
-async function collectFromWebSocket() {
-    console.log(`[WS] Connecting to ${WS_URL}...`);
+function ledgerCloseDate(ledger) {
+    // Convert ripple epoch close_time to JS Date
+    return ledger.close_time ? new Date((ledger.close_time + RIPPLE_EPOCH) * 1000) : null;
+}
 
-    const ws = new WebSocket(WS_URL);
-    await new Promise((resolve, reject) => {
-        ws.on('open', resolve);
-        ws.on('error', reject);
-        setTimeout(() => reject(new Error('WS connect timeout')), 15000);
+function emptyDayTally() {
+    return {
+        txCount: 0,
+        wallets: new Set(),
+        txTypes: {},
+        hourly: new Array(24).fill(0),
+        failedCount: 0,
+        failures: {},
+        memoCategories: {}
+    };
+}
+
+/**
+ * Add one ledger's transactions to a per-day tally.
+ * tally: { "2026-02-21": { txCount: N, wallets: Set, txTypes: { Payment: N }, hourly: [24],
+ *                          failedCount: N, failures: { Payment: { tecNO_DST: N } },
+ *                          memoCategories: { "task-request": N } } }
+ */
+function tallyLedger(tally, ledger) {
+    const closeTime = ledgerCloseDate(ledger);
+    if (!closeTime) return;
+    const date = closeTime.toISOString().slice(0, 10);
+    if (!tally[date]) tally[date] = emptyDayTally();
+    const day = tally[date];
+
+    const txns = ledger.transactions || [];
+    day.txCount += txns.length;
+    day.hourly[closeTime.getUTCHours()] += txns.length;
+    for (const tx of txns) {
+        const inner = tx.tx || tx.tx_json || tx;
+        if (inner.Account) day.wallets.add(inner.Account);
+        const type = inner.TransactionType || 'Unknown';
+        day.txTypes[type] = (day.txTypes[type] || 0) + 1;
+
+        // Anything but tesSUCCESS (e.g. tec* codes) still lands in the ledger but failed
+        const meta = tx.metaData || tx.meta || {};
+        const result = meta.TransactionResult;
+        if (result && result !== 'tesSUCCESS') {
+            day.failedCount++;
+            if (!day.failures[type]) day.failures[type] = {};
+            day.failures[type][result] = (day.failures[type][result] || 0) + 1;
+        }
+
+        const category = MemoDecoder.categorize(MemoDecoder.decodeMemos(inner.Memos));
+        if (category) {
+            day.memoCategories[category] = (day.memoCategories[category] || 0) + 1;
+        }
+    }
+}
+
+function combineFailures(target, source, combine) {
+    const out = { ...(target || {}) };
+    for (const [type, codes] of Object.entries(source)) {
+        out[type] = combineCounts(out[type], codes, combine);
+    }
+    return out;
+}
+
+/**
+ * Combine two count maps (or 24-slot arrays) key by key.
+ * Used with sum for live runs and max for bootstrap runs.
+ */
+function combineCounts(target, source, combine) {
+    const out = Array.isArray(source) ? [...(target || new Array(source.length).fill(0))] : { ...(target || {}) };
+    for (const key of Object.keys(source)) {
+        out[key] = combine(out[key] || 0, source[key]);
+    }
+    return out;
+}
+
+function fetchLedger(ws, seq) {
+    return wsSend(ws, {
+        command: 'ledger',
+        ledger_index: seq,
+        transactions: true,
+        expand: true
+    }).then(resp => resp.result?.ledger || null).catch(err => {
+        console.warn(`[WS] Ledger ${seq} failed: ${err.message}`);
+        return null;
     });
-    console.log('[WS] Connected');
+}
 
-    // Get server_info for current ledger height
-    const infoResp = await wsSend(ws, { command: 'server_info' });
-    const info = infoResp.result?.info;
-    if (!info) throw new Error('No server_info result');
-    const currentSeq = info.validated_ledger?.seq;
-    console.log(`[WS] Current ledger: ${currentSeq}`);
-
-    // Fetch recent ledgers with transactions
-    let txCount = 0;
-    const accounts = new Set();
-    const startSeq = currentSeq - LEDGERS_TO_FETCH + 1;
-
-    // Fetch in batches of 20 for efficiency
-    const batchSize = 20;
-    for (let i = 0; i < LEDGERS_TO_FETCH; i += batchSize) {
+/**
+ * Fetch ledgers fromSeq..toSeq in batches and tally them in seq order.
+ * Stops at the first ledger that cannot be fetched so the cursor only ever
+ * advances over a contiguous range. Returns the last ledger tallied.
+ */
+async function walkLedgers(ws, fromSeq, toSeq, tally) {
+    const total = toSeq - fromSeq + 1;
+    let last = null;
+
+    for (let batchStart = fromSeq; batchStart <= toSeq; batchStart += BATCH_SIZE) {
+        const batchEnd = Math.min(batchStart + BATCH_SIZE - 1, toSeq);
         const promises = [];
-        for (let j = 0; j < batchSize && (i + j) < LEDGERS_TO_FETCH; j++) {
-            const seq = startSeq + i + j;
-            promises.push(
-                wsSend(ws, {
-                    command: 'ledger',
-                    ledger_index: seq,
-                    transactions: true,
-                    expand: true
-                }).catch(err => {
-                    console.warn(`[WS] Ledger ${seq} failed: ${err.message}`);
-                    return null;
-                })
-            );
+        for (let seq = batchStart; seq <= batchEnd; seq++) {
+            promises.push(fetchLedger(ws, seq));
         }
         const results = await Promise.all(promises);
-        for (const resp of results) {
-            if (!resp || !resp.result?.ledger) continue;
-            const ledger = resp.result.ledger;
-
-            // Convert ripple epoch close_time to JS Date
-            const closeTime = ledger.close_time
-                ? new Date((ledger.close_time + 946684800) * 1000)
-                : null;
-
-            // Only count transactions from today
-            if (closeTime && closeTime.toISOString().slice(0, 10) !== today) continue;
-
-            const txns = ledger.transactions || [];
-            txCount += txns.length;
-            for (const tx of txns) {
-                const inner = tx.tx || tx.tx_json || tx;
-                if (inner.Account) accounts.add(inner.Account);
+
+        for (let i = 0; i < results.length; i++) {
+            const ledger = results[i];
+            if (!ledger) {
+                console.log('');
+                console.warn(`[WS] Stopping at ledger ${batchStart + i}; next run resumes here`);
+                return last;
             }
+            tallyLedger(tally, ledger);
+            last = { seq: batchStart + i, closeTime: ledgerCloseDate(ledger) };
         }
-        process.stdout.write(`\r[WS] Fetched ${Math.min(i + batchSize, LEDGERS_TO_FETCH)}/${LEDGERS_TO_FETCH} ledgers`);
+        process.stdout.write(`\r[WS] Fetched ${batchEnd - fromSeq + 1}/${total} ledgers`);
     }
     console.log('');
-    console.log(`[WS] Today (${today}): ${txCount} txns, ${accounts.size} unique accounts`);
+    return last;
+}
+
+async function openSocket(url) {
+    console.log(`[WS] Connecting to ${url}...`);
+
+    const ws = new WebSocket(url);
+    await new Promise((resolve, reject) => {
+        ws.on('open', resolve);
+        ws.on('error', reject);
+        setTimeout(() => reject(new Error('WS connect timeout')), 15000);
+    });
+    console.log('[WS] Connected');
+    // One response listener per in-flight request
+    ws.setMaxListeners(Math.max(BATCH_SIZE, BACKFILL_CONCURRENCY) + 10);
+    return ws;
+}
+
+async function collectFromWebSocket(cursor) {
+    const ws = await openSocket(WS_URL);
+
+    try {
+        // Get server_info for current ledger height
+        const infoResp = await wsSend(ws, { command: 'server_info' });
+        const info = infoResp.result?.info;
+        if (!info) throw new Error('No server_info result');
+        const currentSeq = info.validated_ledger?.seq;
+        if (!currentSeq) throw new Error('No validated ledger in server_info');
+        console.log(`[WS] Current ledger: ${currentSeq}`);
+
+        // Resume just after the cursor; without one, seed from a recent window
+        const bootstrap = !cursor || !cursor.ledgerSeq;
+        const fromSeq = bootstrap ? currentSeq - BOOTSTRAP_LEDGERS + 1 : cursor.ledgerSeq + 1;
+        const toSeq = Math.min(currentSeq, fromSeq + MAX_LEDGERS_PER_RUN - 1);
+
+        const tally = {};
+        if (fromSeq > toSeq) {
+            console.log('[WS] No new validated ledgers since last run');
+            return { tally, last: null, bootstrap };
+        }
+
+        console.log(`[WS] Walking ledgers ${fromSeq}..${toSeq}${bootstrap ? ' (no cursor, bootstrapping)' : ''}`);
+        const last = await walkLedgers(ws, fromSeq, toSeq, tally);
+        if (last && last.seq < currentSeq) {
+            console.log(`[WS] ${currentSeq - last.seq} ledgers behind; will continue next run`);
+        }
 
-    ws.close();
-    return { txCount, activeWallets: accounts.size, walletAddresses: [...accounts] };
+        for (const [date, day] of Object.entries(tally)) {
+            console.log(`[WS] ${date}: +${day.txCount} txns (${day.failedCount} failed), ${day.wallets.size} unique accounts`);
+        }
+        return { tally, last, bootstrap };
+    } finally {
+        ws.close();
+    }
 }
 
 async function collectExplorerMetrics() {
@@ -158,6 +286,7 @@ async function collectExplorerMetrics() {
 async function collectVHSData() {
     let nodeCount = 0;
     let validatorCount = 0;
+    let myValidator = null;
 
     try {
         const topo = await httpGet(VHS_BASE + '/v1/network/topology/nodes/test');
@@ -171,13 +300,59 @@ async function collectVHSData() {
     try {
         const vals = await httpGet(VHS_BASE + '/v1/network/validators/test');
         const validators = vals.validators || vals;
-        if (Array.isArray(validators)) validatorCount = validators.length;
+        if (Array.isArray(validators)) {
+            validatorCount = validators.length;
+            myValidator = validators.find(v => v.domain === MY_VALIDATOR_DOMAIN) || null;
+        }
         console.log(`[VHS] Validators: ${validatorCount}`);
     } catch (e) {
         console.warn(`[VHS] Validators fetch failed: ${e.message}`);
     }
 
-    return { nodeCount, validatorCount };
+    return { nodeCount, validatorCount, myValidator };
+}
+
+function parseScore(agreement) {
+    return agreement && agreement.score !== undefined ? parseFloat(agreement.score) : null;
+}
+
+/**
+ * Append one agreement snapshot for our validator and drop runs older
+ * than MAX_DAYS. Runs are written one per line to keep the file's diffs
+ * small, since it changes every 30 minutes.
+ */
+function recordValidatorHistory(v) {
+    let history = { validator: MY_VALIDATOR_DOMAIN, runs: [] };
+    try {
+        if (fs.existsSync(HISTORY_FILE)) {
+            history = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
+        }
+    } catch (e) {
+        console.warn(`[History] Could not read existing file: ${e.message}`);
+    }
+    if (!Array.isArray(history.runs)) history.runs = [];
+
+    const a24 = v.agreement_24h || {};
+    history.runs.push({
+        time: new Date().toISOString(),
+        agreement24h: parseScore(v.agreement_24h),
+        agreement30d: parseScore(v.agreement_30day),
+        missed: a24.missed !== undefined ? Number(a24.missed) : null,
+        total: a24.total !== undefined ? Number(a24.total) : null,
+        serverVersion: v.server_version || null
+    });
+
+    const cutoff = Date.now() - MAX_DAYS * DAY_MS;
+    history.runs = history.runs.filter(r => Date.parse(r.time) >= cutoff);
+    history.validator = MY_VALIDATOR_DOMAIN;
+    history.lastUpdated = new Date().toISOString();
+
+    const lines = history.runs.map(r => '    ' + JSON.stringify(r));
+    fs.writeFileSync(HISTORY_FILE, '{\n' +
+        `  "validator": ${JSON.stringify(history.validator)},\n` +
+        `  "lastUpdated": ${JSON.stringify(history.lastUpdated)},\n` +
+        '  "runs": [\n' + lines.join(',\n') + (lines.length ? '\n' : '') + '  ]\n}\n');
+    console.log(`[History] ${MY_VALIDATOR_DOMAIN}: ${history.runs.length} runs recorded`);
 }
 
 function loadExisting() {
@@ -191,57 +366,442 @@ function loadExisting() {
     return { lastUpdated: null, firstSeen: {}, days: {} };
 }
 
+/**
+ * Merge a per-day tally into existing.days. Live runs only ever tally
+ * ledgers past the cursor, so counts are added. A bootstrap run may overlap
+ * data written before the cursor existed, so it keeps the larger count.
+ */
+function mergeTally(existing, tally, bootstrap) {
+    for (const date of Object.keys(tally).sort()) {
+        const t = tally[date];
+        const day = existing.days[date] || (existing.days[date] = { txCount: 0, activeWallets: 0 });
+        const wallets = new Set(day.walletAddresses || []);
+
+        for (const wallet of t.wallets) {
+            wallets.add(wallet);
+            // Never overwrite existing entries (preserves true first-seen date)
+            if (!existing.firstSeen[wallet]) {
+                existing.firstSeen[wallet] = date;
+            }
+        }
+
+        const combine = bootstrap ? Math.max : (a, b) => a + b;
+        day.txCount = combine(day.txCount || 0, t.txCount);
+        day.txTypes = combineCounts(day.txTypes, t.txTypes, combine);
+        day.hourly = combineCounts(day.hourly, t.hourly, combine);
+        day.failedCount = combine(day.failedCount || 0, t.failedCount);
+        day.failures = combineFailures(day.failures, t.failures, combine);
+        day.memoCategories = combineCounts(day.memoCategories, t.memoCategories, combine);
+        // Older entries carry a count without the addresses behind it; don't shrink those
+        day.activeWallets = day.walletAddresses
+            ? wallets.size
+            : Math.max(day.activeWallets || 0, wallets.size);
+        day.walletAddresses = [...wallets];
+    }
+}
+
+function trimDays(existing) {
+    const sortedDates = Object.keys(existing.days).sort();
+    if (sortedDates.length > MAX_DAYS) {
+        sortedDates.slice(0, sortedDates.length - MAX_DAYS).forEach(d => delete existing.days[d]);
+    }
+}
+
+function writeData(existing) {
+    const dataDir = path.dirname(DATA_FILE);
+    if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+    fs.writeFileSync(DATA_FILE, JSON.stringify(existing, null, 2) + '\n');
+}
+
+function loadNormalized() {
+    const existing = loadExisting();
+    if (!existing.days || typeof existing.days !== 'object') existing.days = {};
+    // Ensure firstSeen map exists
+    if (!existing.firstSeen || typeof existing.firstSeen !== 'object') {
+        existing.firstSeen = {};
+    }
+    return existing;
+}
+
+// ---- Backfill ----
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--from') args.from = argv[++i];
+        else if (argv[i] === '--to') args.to = argv[++i];
+        else if (argv[i] === '--restart') args.restart = true;
+    }
+    return args;
+}
+
+function loadCheckpoint() {
+    try {
+        if (fs.existsSync(CHECKPOINT_FILE)) {
+            return JSON.parse(fs.readFileSync(CHECKPOINT_FILE, 'utf8'));
+        }
+    } catch (e) {
+        console.warn(`[Backfill] Could not read checkpoint: ${e.message}`);
+    }
+    return null;
+}
+
+function writeCheckpoint(state) {
+    fs.writeFileSync(CHECKPOINT_FILE, JSON.stringify(state) + '\n');
+}
+
+function clearCheckpoint() {
+    if (fs.existsSync(CHECKPOINT_FILE)) fs.unlinkSync(CHECKPOINT_FILE);
+}
+
+function toRippleTime(date) {
+    return Date.parse(date + 'T00:00:00Z') / 1000 - RIPPLE_EPOCH;
+}
+
+function serializeTally(tally) {
+    const out = {};
+    for (const [date, t] of Object.entries(tally)) {
+        out[date] = {
+            txCount: t.txCount,
+            walletAddresses: [...t.wallets],
+            txTypes: t.txTypes,
+            hourly: t.hourly,
+            failedCount: t.failedCount,
+            failures: t.failures,
+            memoCategories: t.memoCategories
+        };
+    }
+    return out;
+}
+
+function deserializeTally(days) {
+    const tally = {};
+    for (const [date, d] of Object.entries(days || {})) {
+        tally[date] = Object.assign(emptyDayTally(), {
+            txCount: d.txCount || 0,
+            wallets: new Set(d.walletAddresses || []),
+            txTypes: d.txTypes || {},
+            hourly: d.hourly || new Array(24).fill(0),
+            failedCount: d.failedCount || 0,
+            failures: d.failures || {},
+            memoCategories: d.memoCategories || {}
+        });
+    }
+    return tally;
+}
+
+async function fetchCloseTime(ws, seq) {
+    const resp = await wsSend(ws, { command: 'ledger', ledger_index: seq });
+    const ledger = resp.result?.ledger;
+    if (!ledger || !ledger.close_time) throw new Error(`Ledger ${seq} unavailable`);
+    return ledger.close_time;
+}
+
+/**
+ * Sorted [lo, hi] ledger ranges from server_info's complete_ledgers, which
+ * looks like "32570-4012345" or "1-100,105-4012345".
+ */
+function parseLedgerRanges(completeLedgers) {
+    return String(completeLedgers || '').split(',')
+        .map(part => {
+            const [lo, hi = lo] = part.split('-').map(n => parseInt(n, 10));
+            return [lo, hi];
+        })
+        .filter(([lo, hi]) => lo > 0 && hi >= lo)
+        .sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Search only the range whose ledgers span rippleTime. A target that falls in
+ * a gap resolves to the first ledger of the next range; one past the newest
+ * range resolves to its last ledger + 1.
+ */
+async function findFirstAvailableAtOrAfter(ws, rippleTime, ranges) {
+    for (const [lo, hi] of ranges) {
+        if (await fetchCloseTime(ws, hi) >= rippleTime) {
+            return findFirstLedgerAtOrAfter(ws, rippleTime, lo, hi);
+        }
+    }
+    return ranges[ranges.length - 1][1] + 1;
+}
+
+/**
+ * Binary search for the first ledger in lo..hi that closed at or after
+ * rippleTime. Returns hi + 1 when every ledger in the range closed earlier.
+ */
+async function findFirstLedgerAtOrAfter(ws, rippleTime, lo, hi) {
+    if (await fetchCloseTime(ws, hi) < rippleTime) return hi + 1;
+    while (lo < hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (await fetchCloseTime(ws, mid) < rippleTime) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+async function fetchLedgerWithRetry(ws, seq) {
+    for (let attempt = 1; attempt <= BACKFILL_RETRIES; attempt++) {
+        const ledger = await fetchLedger(ws, seq);
+        if (ledger) return ledger;
+        await new Promise(r => setTimeout(r, 1000 * attempt));
+    }
+    return null;
+}
+
+/**
+ * Fetch state.doneThrough + 1 .. state.endSeq with BACKFILL_CONCURRENCY
+ * workers. Ledgers are tallied strictly in seq order, so doneThrough always
+ * marks a contiguous prefix and is safe to checkpoint.
+ */
+async function backfillLedgers(ws, state, tally, checkpoint) {
+    const ready = new Map();
+    const total = state.endSeq - state.startSeq + 1;
+    let nextSeq = state.doneThrough + 1;
+    let failedSeq = null;
+    let sinceCheckpoint = 0;
+
+    function drain() {
+        while (ready.has(state.doneThrough + 1)) {
+            const seq = state.doneThrough + 1;
+            tallyLedger(tally, ready.get(seq));
+            ready.delete(seq);
+            state.doneThrough = seq;
+            if (++sinceCheckpoint >= BACKFILL_CHECKPOINT_EVERY) {
+                sinceCheckpoint = 0;
+                checkpoint();
+            }
+        }
+        const done = state.doneThrough - state.startSeq + 1;
+        if (done % BATCH_SIZE === 0 || done === total) {
+            process.stdout.write(`\r[Backfill] ${done}/${total} ledgers (${(done / total * 100).toFixed(1)}%)`);
+        }
+    }
+
+    async function worker() {
+        while (failedSeq === null && nextSeq <= state.endSeq) {
+            const seq = nextSeq++;
+            const ledger = await fetchLedgerWithRetry(ws, seq);
+            if (!ledger) {
+                failedSeq = seq;
+                return;
+            }
+            ready.set(seq, ledger);
+            drain();
+        }
+    }
+
+    await Promise.all(Array.from({ length: BACKFILL_CONCURRENCY }, worker));
+    console.log('');
+    if (failedSeq !== null) {
+        throw new Error(`Ledger ${failedSeq} could not be fetched after ${BACKFILL_RETRIES} attempts`);
+    }
+}
+
+/**
+ * Replace the counts of every backfilled day. The backfill saw each of those
+ * days in full, so its tally supersedes whatever partial counts were there.
+ * The exception is partialDate, the day the backfill stopped at the live
+ * cursor: the live collector counted the rest of it, so that day is merged.
+ */
+function applyBackfill(existing, tally, partialDate) {
+    for (const date of Object.keys(tally).sort()) {
+        const t = tally[date];
+        if (date === partialDate) {
+            // Both saw the ledgers around the cursor; keep the larger counts
+            mergeTally(existing, { [date]: t }, true);
+        } else {
+            const day = existing.days[date] || (existing.days[date] = {});
+            day.txCount = t.txCount;
+            day.activeWallets = t.wallets.size;
+            day.walletAddresses = [...t.wallets];
+            day.txTypes = t.txTypes;
+            day.hourly = t.hourly;
+            day.failedCount = t.failedCount;
+            day.failures = t.failures;
+            day.memoCategories = t.memoCategories;
+        }
+
+        // Backfilled days can predate what the live collector recorded
+        for (const wallet of t.wallets) {
+            if (!existing.firstSeen[wallet] || existing.firstSeen[wallet] > date) {
+                existing.firstSeen[wallet] = date;
+            }
+        }
+    }
+}
+
+async function planBackfill(ws, from, to, cursor) {
+    const infoResp = await wsSend(ws, { command: 'server_info' });
+    const info = infoResp.result?.info;
+    const currentSeq = info?.validated_ledger?.seq;
+    if (!currentSeq) throw new Error('No validated ledger in server_info');
+
+    const ranges = parseLedgerRanges(info.complete_ledgers);
+    if (ranges.length === 0) throw new Error(`Archive reports no history (${info.complete_ledgers})`);
+
+    const startSeq = await findFirstAvailableAtOrAfter(ws, toRippleTime(from), ranges);
+    const dayAfterTo = new Date(Date.parse(to + 'T00:00:00Z') + 86400000).toISOString().slice(0, 10);
+    const endSeq = await findFirstAvailableAtOrAfter(ws, toRippleTime(dayAfterTo), ranges) - 1;
+    const reachesTip = endSeq >= currentSeq;
+
+    // Ledgers inside a gap can't be fetched, so the backfill would stall there
+    const gap = ranges.find((r, i) => i > 0 && r[0] > startSeq && r[0] <= endSeq);
+    if (gap) {
+        const prev = ranges[ranges.indexOf(gap) - 1];
+        throw new Error(`Archive is missing ledgers ${prev[1] + 1}-${gap[0] - 1} inside ${from}..${to}; ` +
+            'split the backfill around them');
+    }
+
+    const state = { from, to, startSeq, rangeEndSeq: endSeq, doneThrough: startSeq - 1, reachesTip };
+    clampToCursor(state, cursor);
+    return state;
+}
+
+/**
+ * Ledgers past the live cursor are the live collector's to count. Applied
+ * again on resume, since live runs keep moving the cursor while a
+ * checkpointed backfill waits.
+ */
+function clampToCursor(state, cursor) {
+    const limit = cursor && cursor.ledgerSeq;
+    state.endSeq = limit ? Math.min(state.rangeEndSeq, limit) : state.rangeEndSeq;
+    state.clamped = state.endSeq < state.rangeEndSeq;
+}
+
+async function runBackfill(args) {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(args.from) || !datePattern.test(args.to) || args.from > args.to) {
+        throw new Error('Backfill needs --from YYYY-MM-DD --to YYYY-MM-DD with from <= to');
+    }
+
+    const existing = loadNormalized();
+    let state = loadCheckpoint();
+    if (state && !args.restart && (state.from !== args.from || state.to !== args.to)) {
+        throw new Error(`A backfill for ${state.from}..${state.to} is in progress; ` +
+            'rerun with those dates to resume, or add --restart to discard it');
+    }
+    if (args.restart) state = null;
+
+    const ws = await openSocket(ARCHIVE_WS_URL);
+    try {
+        if (state) {
+            console.log(`[Backfill] Resuming ${state.from}..${state.to} at ledger ${state.doneThrough + 1}`);
+            clampToCursor(state, existing.cursor);
+        } else {
+            console.log(`[Backfill] Mapping ${args.from}..${args.to} to ledgers...`);
+            state = await planBackfill(ws, args.from, args.to, existing.cursor);
+            state.days = {};
+        }
+        console.log(`[Backfill] Ledgers ${state.startSeq}..${state.endSeq}`);
+
+        const tally = deserializeTally(state.days);
+        const checkpoint = () => {
+            state.days = serializeTally(tally);
+            writeCheckpoint(state);
+        };
+
+        try {
+            if (state.startSeq <= state.endSeq) {
+                await backfillLedgers(ws, state, tally, checkpoint);
+            }
+        } catch (e) {
+            checkpoint();
+            console.error(`[Backfill] Saved progress through ledger ${state.doneThrough}`);
+            throw e;
+        }
+
+        applyBackfill(existing, tally, state.clamped ? Object.keys(tally).sort().pop() : null);
+        // With no live cursor yet, let the next live run continue from here
+        if (!existing.cursor && state.reachesTip && state.doneThrough >= state.startSeq) {
+            existing.cursor = { ledgerSeq: state.doneThrough, closeTime: null };
+        }
+        existing.lastUpdated = new Date().toISOString();
+
+        const kept = Object.keys(existing.days).sort().slice(-MAX_DAYS)[0];
+        if (kept && args.from < kept) {
+            console.warn(`[Backfill] Only the latest ${MAX_DAYS} days are kept; data before ${kept} is dropped`);
+        }
+        trimDays(existing);
+        writeData(existing);
+        clearCheckpoint();
+
+        for (const [date, t] of Object.entries(tally)) {
+            console.log(`[Backfill] ${date}: ${t.txCount} txns, ${t.wallets.size} unique accounts`);
+        }
+        console.log(`[Stats] Written to ${DATA_FILE}`);
+    } finally {
+        ws.close();
+    }
+}
+
+// ---- Live run ----
+
 async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.from || args.to) {
+        await runBackfill(args);
+        process.exit(0);
+    }
+
+    safetyTimer = setTimeout(() => {
+        console.error(`[Timeout] Script exceeded ${TIMEOUT_MS / 1000}s, exiting`);
+        process.exit(1);
+    }, TIMEOUT_MS);
+
     console.log(`[Stats] Collecting daily stats for ${today}`);
 
+    const existing = loadNormalized();
+
     // Run all collectors in parallel
     const [wsData, explorerData, vhsData] = await Promise.all([
-        collectFromWebSocket().catch(err => {
+        collectFromWebSocket(existing.cursor).catch(err => {
             console.error(`[WS] Collection failed: ${err.message}`);
-            return { txCount: 0, activeWallets: 0 };
+            return null;
         }),
         collectExplorerMetrics(),
         collectVHSData()
     ]);
 
-    // Merge into existing data
-    const existing = loadExisting();
     existing.lastUpdated = new Date().toISOString();
 
-    // Ensure firstSeen map exists
-    if (!existing.firstSeen || typeof existing.firstSeen !== 'object') {
-        existing.firstSeen = {};
-    }
-
-    // Update firstSeen — never overwrite existing entries (preserves true first-seen date)
-    for (const wallet of (wsData.walletAddresses || [])) {
-        if (!existing.firstSeen[wallet]) {
-            existing.firstSeen[wallet] = today;
+    if (wsData) {
+        mergeTally(existing, wsData.tally, wsData.bootstrap);
+        if (wsData.last) {
+            existing.cursor = {
+                ledgerSeq: wsData.last.seq,
+                closeTime: wsData.last.closeTime ? wsData.last.closeTime.toISOString() : null
+            };
         }
     }
 
-    existing.days[today] = {
-        txCount: wsData.txCount,
-        activeWallets: wsData.activeWallets,
-        walletAddresses: wsData.walletAddresses || [],
+    // Point-in-time network metrics belong to the day of the run
+    const todayStats = existing.days[today] || (existing.days[today] = {
+        txCount: 0,
+        activeWallets: 0,
+        walletAddresses: [],
+        txTypes: {},
+        hourly: new Array(24).fill(0),
+        failedCount: 0,
+        failures: {},
+        memoCategories: {}
+    });
+    Object.assign(todayStats, {
         tps: explorerData.tps,
         avgFee: explorerData.avgFee,
         nodeCount: vhsData.nodeCount,
         validatorCount: vhsData.validatorCount
-    };
+    });
 
-    // Trim to 90 days
-    const sortedDates = Object.keys(existing.days).sort();
-    if (sortedDates.length > 90) {
-        sortedDates.slice(0, sortedDates.length - 90).forEach(d => delete existing.days[d]);
+    trimDays(existing);
+    writeData(existing);
+    if (vhsData.myValidator) {
+        recordValidatorHistory(vhsData.myValidator);
+    } else {
+        console.warn(`[History] ${MY_VALIDATOR_DOMAIN} not in VHS response; no snapshot recorded`);
     }
-
-    // Write output
-    const dataDir = path.dirname(DATA_FILE);
-    if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
-    fs.writeFileSync(DATA_FILE, JSON.stringify(existing, null, 2) + '\n');
     console.log(`[Stats] Written to ${DATA_FILE}`);
     console.log(`[Stats] Total days tracked: ${Object.keys(existing.days).length}`);
+    if (existing.cursor) console.log(`[Stats] Cursor at ledger ${existing.cursor.ledgerSeq}`);
 
     clearTimeout(safetyTimer);
     process.exit(0);